@@ -0,0 +1,44 @@
+/*
+ * Special moves. Every player has one ability, picked by their avatar,
+ * that is triggered by the one‑shot `ability` input flag. The physics model
+ * (physics.js) owns the charge meters and cooldowns and decides whether a
+ * move fires, so a client cannot use a move more often than allowed; the
+ * renderer and the AI only read the state reported in snapshots.
+ *
+ * Each move costs `cost` points of the player's charge meter (0 to
+ * CHARGE_MAX) and cannot be used again for `cooldownTicks` simulation
+ * ticks. Moves with a lasting effect run for `ticks` ticks after use.
+ */
+
+// Charge meter. Players start half charged, gain charge over time and a
+// little extra every time they touch the ball.
+export const CHARGE_MAX = 100;
+export const CHARGE_START = 50;
+export const CHARGE_PER_SECOND = 8;
+export const CHARGE_PER_TOUCH = 4;
+
+// The move registry. `label` is shown in the menu and the match HUD.
+//   superJump – vertical boost of arena.player.superJumpSpeed
+//   dash – run at `speed` m/s in the facing direction for `ticks` ticks
+//   powerShot – the next kick within `ticks` ticks leaves the foot `power`
+//     times faster
+//   shoulderCharge – charge at `speed` m/s for `ticks` ticks; the first
+//     opponent hit is knocked back at `knockback` m/s
+export const ABILITIES = {
+  superJump: { label: 'Супер‑прыжок', cost: 40, cooldownTicks: 600 },
+  dash: { label: 'Рывок', cost: 30, cooldownTicks: 360, speed: 10, ticks: 18 },
+  powerShot: { label: 'Пушечный удар', cost: 60, cooldownTicks: 720, power: 1.6, ticks: 120 },
+  shoulderCharge: { label: 'Толчок плечом', cost: 40, cooldownTicks: 480, speed: 7, ticks: 24, knockback: 6 }
+};
+
+// Signature ability of each avatar, by index into characterTextures in
+// main.js. The last two avatars reuse earlier artwork, so they get moves
+// that differ from the avatars they look like.
+export const CHARACTER_ABILITIES = ['superJump', 'dash', 'powerShot', 'shoulderCharge', 'shoulderCharge', 'superJump'];
+
+// True when a player reported in a snapshot (see readSnapshot) can use
+// `name` right now.
+export function abilityReady(name, player) {
+  const move = ABILITIES[name];
+  return !!move && player.cooldown === 0 && player.charge >= move.cost;
+}
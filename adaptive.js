@@ -0,0 +1,120 @@
+/*
+ * Adaptive AI difficulty. Instead of one of the fixed aiLevels, the
+ * 'Adaptive' level plays at a skill that moves during the match: a number
+ * from 0 (Rookie) to aiLevels.length - 1 (Legend), where a fraction blends
+ * the profiles of the two levels either side (see adaptiveProfile).
+ *
+ * The skill heads for a target set by how the match goes for the human
+ * team (see adaptiveTarget): the goal difference and the edge in shot
+ * quality push it up when the human is on top and down when they struggle,
+ * starting from where the player's recent history puts them. It moves
+ * there gradually (SKILL_RATE), so a single goal does not swing the AI from
+ * one level to the next.
+ *
+ * Between matches main.js keeps a record { skill, history } in
+ * localStorage: the skill the last match ended on, less the bump for form
+ * it started with, and the goal differences of the last HISTORY_MATCHES
+ * matches, most recent last. The next match starts from there (see
+ * startAdaptive), so form counts once for every match, not once more for
+ * every match it stays in the history.
+ */
+
+import { aiLevels, aiProfiles } from './ai.js';
+
+export const ADAPTIVE_LEVEL = 'Adaptive';
+export const MAX_SKILL = aiLevels.length - 1;
+// Matches remembered in the record's history
+export const HISTORY_MATCHES = 5;
+// Skill levels per goal of difference and for the whole range of shot
+// quality edge (see shotQuality)
+const GOAL_STEP = 0.5;
+const SHOT_STEP = 1.0;
+// Skill levels per goal of average difference over the recent history,
+// which is capped at FORM_LIMIT goals either way
+const FORM_STEP = 0.25;
+const FORM_LIMIT = 3;
+// Fastest change of skill in levels per second of play
+const SKILL_RATE = 0.02;
+// Skill of a player without a record: Amateur
+const START_SKILL = 1;
+
+// A fresh record for a player who has not played the adaptive AI yet.
+export function createAdaptiveRecord() {
+  return { skill: START_SKILL, history: [] };
+}
+
+// Turn whatever was read from storage into a record; anything that is not
+// one gives a fresh record.
+export function restoreAdaptiveRecord(stored) {
+  if (!stored || typeof stored.skill !== 'number' || !Array.isArray(stored.history)) return createAdaptiveRecord();
+  return {
+    skill: clampSkill(stored.skill),
+    history: stored.history.filter((d) => typeof d === 'number').slice(-HISTORY_MATCHES)
+  };
+}
+
+function clampSkill(skill) {
+  return Math.min(Math.max(skill, 0), MAX_SKILL);
+}
+
+// The AI profile at `skill`: every parameter of the two levels either side
+// blended by the fraction.
+export function adaptiveProfile(skill) {
+  const s = clampSkill(skill);
+  const low = Math.floor(s);
+  const high = Math.min(low + 1, MAX_SKILL);
+  const a = aiProfiles[aiLevels[low]];
+  const b = aiProfiles[aiLevels[high]];
+  const profile = {};
+  for (const key in a) profile[key] = a[key] + (b[key] - a[key]) * (s - low);
+  return profile;
+}
+
+// The aiLevels name nearest to `skill`, e.g. for XP and achievements.
+export function adaptiveLevelName(skill) {
+  return aiLevels[Math.round(clampSkill(skill))];
+}
+
+// How well a team shoots, from 0 to 1: the share of its `shots` that were
+// on target, pulled towards a half while there are only a few of them.
+export function shotQuality(shots, onTarget) {
+  return (onTarget + 1) / (shots + 2);
+}
+
+// Start a match against the adaptive AI for the player with `record`. The
+// run holds the skill the match starts from (`base`, the record's skill
+// moved by the player's form over the recent history), how far form moved
+// it (`form`), the current skill and the target it is heading for.
+export function startAdaptive(record) {
+  const history = record.history;
+  const mean = history.length ? history.reduce((sum, d) => sum + d, 0) / history.length : 0;
+  const form = Math.min(Math.max(mean, -FORM_LIMIT), FORM_LIMIT);
+  const base = clampSkill(record.skill + form * FORM_STEP);
+  return { base, form: base - record.skill, skill: base, target: base };
+}
+
+// Skill the run heads for when the human team leads by `goalDiff` goals
+// (negative when behind) and has a shot quality edge of `shotEdge` (its
+// shotQuality minus the AI's).
+export function adaptiveTarget(run, goalDiff, shotEdge) {
+  return clampSkill(run.base + goalDiff * GOAL_STEP + shotEdge * SHOT_STEP);
+}
+
+// Move the run on by `dtMs` of play with the match as it stands (see
+// adaptiveTarget). Returns the AI profile to play with.
+export function advanceAdaptive(run, goalDiff, shotEdge, dtMs) {
+  run.target = adaptiveTarget(run, goalDiff, shotEdge);
+  const step = SKILL_RATE * dtMs / 1000;
+  run.skill += Math.min(Math.max(run.target - run.skill, -step), step);
+  return adaptiveProfile(run.skill);
+}
+
+// Store the outcome of a finished run in `record`: the skill this one
+// ended on without its bump for form, which the next match works out
+// afresh, and `goalDiff` (the human team's final goal difference) joins
+// the history.
+export function finishAdaptive(record, run, goalDiff) {
+  record.skill = clampSkill(run.skill - run.form);
+  record.history = [...record.history, goalDiff].slice(-HISTORY_MATCHES);
+  return record;
+}
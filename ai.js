@@ -0,0 +1,402 @@
+/*
+ * Computer opponent. The AI reads the same decoded state the renderer
+ * uses (see readSnapshot in snapshot.js) and produces the same input
+ * objects a human player sends, so it can drive either side of a match in
+ * the browser or in the headless simulator.
+ *
+ * decide() is the AI proper: a pure function of what the player sees, its
+ * profile, its memory and a random source, built as a small state machine
+ * of behaviours (see BEHAVIOURS). updateAI() wraps it with the player's
+ * reaction time.
+ */
+
+import { abilityReady } from './abilities.js';
+import { GROUND_TOP } from './physics.js';
+import { predictBall, reachWindows } from './trajectory.js';
+
+// The game offers five levels of AI sophistication. Each level is defined by
+// five parameters: a reaction time (in seconds) indicating how often the AI
+// will reconsider its inputs, an aim error (in degrees) that determines
+// how accurately the AI places its kicks, how far ahead (horizon, in
+// seconds) and how well (noise, the error in metres per second of
+// lookahead) it reads the flight of the ball (see predictBall in
+// trajectory.js), and how readily it uses its special move (abilityUse, the
+// chance of using it on a decision where the situation suits it). These
+// profiles roughly map to the difficulty names used in the game design
+// document. Higher difficulties have faster reactions, smaller errors and
+// see further ahead. All parameters are plain numbers, so a profile in
+// between two levels is a blend of theirs (see adaptive.js).
+export const aiLevels = ['Rookie', 'Amateur', 'Pro', 'Elite', 'Legend'];
+export const aiProfiles = {
+  Rookie:  { reactionTime: 0.30, aimError: 15, horizon: 0.5, noise: 0.6,  abilityUse: 0.4  },
+  Amateur: { reactionTime: 0.25, aimError: 12, horizon: 0.7, noise: 0.45, abilityUse: 0.55 },
+  Pro:     { reactionTime: 0.20, aimError: 9,  horizon: 0.9, noise: 0.3,  abilityUse: 0.7  },
+  Elite:   { reactionTime: 0.15, aimError: 6,  horizon: 1.2, noise: 0.2,  abilityUse: 0.85 },
+  Legend:  { reactionTime: 0.12, aimError: 3,  horizon: 1.5, noise: 0.1,  abilityUse: 1    }
+};
+
+// Seedable pseudo‑random generator (mulberry32). Returns a function that
+// yields floats in [0, 1) like Math.random, always the same sequence for
+// the same seed.
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return function() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Per‑player AI state that persists between updates: time until the next
+// decision (ms), the input decided last, the player's role in the team
+// ('attacker' or 'defender', see teams.js) and the behaviour it is in (see
+// BEHAVIOURS). The role may be changed at any time, e.g. when a human
+// orders an AI teammate forward or back, and in a penalty shootout it is
+// 'shooter' or 'keeper' for the penalty in play.
+export function createAIMemory(role = 'attacker') {
+  return {
+    decisionCountdown: 0,
+    input: { left: false, right: false, jump: false, ability: false, kick: false },
+    role,
+    behaviour: 'intercept'
+  };
+}
+
+// How far in front of its own goal line a defender waits while the ball is
+// in the other half, in metres.
+const DEFENDER_DEPTH = 1.0;
+// A ball this close to the player's centre (in metres) and below its head
+// is at its feet, ready to be dribbled or shot.
+const CONTROL_RANGE = 0.6;
+// A player with the ball at its feet shoots once the ball is this close to
+// the goal line it attacks, or an opponent is this close in front.
+const SHOT_RANGE = 3.5;
+const PRESSURE_RANGE = 1.0;
+// A player with the ball this far behind it (towards its own goal) turns
+// back to recover, and has recovered once it is this far goal‑side of it.
+const RECOVER_GAP = 0.4;
+const RECOVERED_GAP = 0.3;
+// How far from its centre a penalty keeper punches the ball, in metres
+const KEEPER_REACH = 0.66;
+// Height band (in metres either side of the header height) in which a
+// penalty taker mishits the ball
+const SHOOTER_MISHIT = 0.1;
+// A ball whose centre is this far above the head of a player standing on
+// the ground can still be played without jumping.
+const PLAY_HEIGHT = 0.3;
+// A player jumps for a ball it would meet this much later than the top of
+// its jump could, in seconds, so that it is not left waiting on the
+// ground until the next decision.
+const JUMP_SLACK = 0.1;
+
+// Behaviours of an outfield player. Each one has a `next` function giving
+// the behaviour to switch to on this decision (see nextBehaviour) and an
+// `act` function giving what to do in it: { targetX, jump, kick }, the
+// spot to run to and whether to jump and kick. Both take the situation
+// worked out by readSituation, and `act` also the AI profile and random
+// source.
+//   defend – a defender waits in front of its goal while the ball is in
+//     the other half
+//   intercept – go for a loose ball, arriving behind it where a kick sends
+//     it goalwards
+//   dribble – run the ball at the feet towards the opponent's goal
+//   shoot – kick the ball at the feet goalwards
+//   recover – the ball got past: run back goal‑side of it
+export const BEHAVIOURS = {
+  defend: {
+    next: (s) => (s.ballInOtherHalf ? 'defend' : 'intercept'),
+    act: (s) => ({
+      targetX: s.ownGoalLine + s.dir * DEFENDER_DEPTH,
+      jump: false,
+      kick: s.inReach
+    })
+  },
+  intercept: {
+    next: (s) => (s.atFeet ? (s.shotOn ? 'shoot' : 'dribble') : 'intercept'),
+    act: (s, profile, rng) => {
+      // Run to the first spot of the predicted flight where the ball comes
+      // low enough to play and the player gets there in time, arriving
+      // slightly behind it. The further ahead that spot, the more the
+      // profile's noise blurs it.
+      const meet = interceptPoint(s);
+      return {
+        targetX: meet.x - s.dir * 0.25 + (rng() - 0.5) * 2 * profile.noise * meet.t,
+        jump: s.jumpNow,
+        kick: s.inReach
+      };
+    }
+  },
+  dribble: {
+    next: (s) => (!s.atFeet ? 'intercept' : s.shotOn ? 'shoot' : 'dribble'),
+    act: (s) => ({
+      // Run on through the ball, so that the body pushes it ahead.
+      targetX: s.ball.x + s.dir * 0.3,
+      jump: false,
+      kick: false
+    })
+  },
+  shoot: {
+    next: (s) => (s.atFeet ? 'shoot' : 'intercept'),
+    act: (s, profile, rng) => ({
+      targetX: s.ball.x - s.dir * 0.25 + aimOffset(profile, rng),
+      jump: false,
+      kick: s.inReach
+    })
+  },
+  recover: {
+    next: (s) => (s.goalSide > RECOVERED_GAP ? 'intercept' : 'recover'),
+    act: (s) => ({
+      targetX: s.ball.x - s.dir * (RECOVERED_GAP + 0.2),
+      jump: s.jumpNow,
+      kick: false
+    })
+  }
+};
+
+// Random aim error of `profile` in metres. Aim error is converted from
+// degrees to a fraction of world units (~10 m width): a higher error means
+// less accuracy.
+function aimOffset(profile, rng) {
+  return (rng() - 0.5) * 2 * (profile.aimError / 90);
+}
+
+// Where and when ({ x, t }) the player in situation `s` meets the ball: the
+// first point of a reach window (see readSituation) it can run to in time.
+// Failing that it heads for the end of the predicted flight.
+function interceptPoint(s) {
+  const points = s.path.points;
+  for (const w of s.windows) {
+    for (let i = points.indexOf(w.from); i <= points.indexOf(w.to); i++) {
+      const p = points[i];
+      if (Math.abs(p.x - s.dir * 0.25 - s.body.x) <= s.speed * p.t) return p;
+    }
+  }
+  return points.length ? points[points.length - 1] : { x: s.ball.x, t: 0 };
+}
+
+// Time in seconds a player jumping off the ground at `jumpSpeed` takes to
+// rise `height` metres, or null when the jump does not get that high.
+function riseTime(height, jumpSpeed, gravity) {
+  const d = jumpSpeed * jumpSpeed + 2 * gravity * height;
+  return d < 0 ? null : (jumpSpeed - Math.sqrt(d)) / -gravity;
+}
+
+// Everything the behaviours need to know about the view (see decide):
+//   dir – direction of the goal the player attacks (+1 right, -1 left);
+//     players that kick off in the left half attack the right goal
+//   ownGoalLine / goalLine – x of the player's own and the attacked goal
+//     line
+//   goalSide – how far the player is goal‑side of the ball (negative once
+//     the ball is past it)
+//   inReach – a kick would reach the ball (the worker ignores kicks at a
+//     ball behind the player)
+//   path – the flight of the ball over the profile's horizon (see
+//     predictBall) and windows – its spells low enough for the player to
+//     play the ball (see reachWindows)
+//   speed – the player's running speed
+//   jumpNow – the ball is about to pass over the player at a height a jump
+//     started now would meet it at
+//   atFeet – the ball is low and close in front of the player
+//   shotOn – the ball is in shooting range or an opponent closes in
+//   ballInOtherHalf – the ball is in the half the player attacks
+function readSituation({ state, id, arena }, profile) {
+  const ball = state.ball;
+  const body = state[id];
+  const dir = arena.spawns.players[id].x < arena.width / 2 ? 1 : -1;
+  const ownGoalLine = dir > 0 ? arena.goal.depth : arena.width - arena.goal.depth;
+  const goalLine = arena.width - ownGoalLine;
+  const dx = ball.x - body.x;
+  const dy = ball.y - body.y;
+  const dist = Math.hypot(dx, dy);
+  const atFeet = dist < CONTROL_RANGE && dy < arena.player.radius * 0.5 && dx * dir > 0;
+  let pressed = false;
+  for (const other in state) {
+    const p = state[other];
+    if (!p || p.charge === undefined || sameTeam(arena, other, id)) continue;
+    if ((p.x - body.x) * dir > 0 && Math.abs(p.x - body.x) < PRESSURE_RANGE) pressed = true;
+  }
+  const path = predictBall(ball, arena, profile.horizon);
+  const standing = GROUND_TOP + arena.player.radius;
+  const windows = reachWindows(path, standing + arena.player.radius + PLAY_HEIGHT);
+  const jumpNow = path.points.some((p) => {
+    if (Math.abs(p.x - body.x) >= 0.5 || p.y - body.y <= 0.3) return false;
+    const rise = riseTime(p.y - body.y, arena.player.jumpSpeed, arena.gravity);
+    return rise !== null && p.t <= rise + JUMP_SLACK;
+  });
+  return {
+    ball,
+    body,
+    dir,
+    ownGoalLine,
+    goalLine,
+    goalSide: dx * dir,
+    inReach: dx * dir > -0.1 && dist < CONTROL_RANGE,
+    path,
+    windows,
+    speed: arena.player.speed,
+    jumpNow,
+    atFeet,
+    shotOn: atFeet && (Math.abs(goalLine - ball.x) < SHOT_RANGE || pressed),
+    ballInOtherHalf: (ball.x - arena.width / 2) * dir > 0
+  };
+}
+
+// The behaviour to switch to from `current` for a player with `role` in
+// situation `s`. A ball that got past the player sends it back to recover
+// and a defender drops back while the ball is in the other half, whatever
+// it was doing; otherwise the current behaviour decides (see BEHAVIOURS).
+export function nextBehaviour(current, s, role) {
+  if (current !== 'recover' && s.goalSide < -RECOVER_GAP) return 'recover';
+  if (role === 'defender' && s.ballInOtherHalf) return 'defend';
+  const behaviour = BEHAVIOURS[current] || BEHAVIOURS.intercept;
+  return behaviour.next(s);
+}
+
+// Decide the input of an AI player. `view` is what the player sees:
+// { state, id, arena }, a decoded snapshot (see readSnapshot in
+// snapshot.js), the player's id and the resolved arena config. `memory`
+// comes from createAIMemory; its behaviour is moved on (see nextBehaviour)
+// and its role says how the player plays. `rng` is a Math.random‑like
+// function, e.g. from createRng: with the same arguments and the same rng
+// sequence the decision is always the same. Returns a new input object.
+// The AI uses the special move given to it in arena.abilities, when the
+// snapshot reports it ready. In a shootout, where every penalty is taken
+// at the right goal, the shooter and the keeper play their own parts (see
+// decideShooter and decideKeeper).
+export function decide(view, profile, memory, rng) {
+  if (memory.role === 'keeper') return decideKeeper(view, profile, rng);
+  if (memory.role === 'shooter') return decideShooter(view, profile, rng);
+  const s = readSituation(view, profile);
+  memory.behaviour = nextBehaviour(memory.behaviour, s, memory.role);
+  const action = BEHAVIOURS[memory.behaviour].act(s, profile, rng);
+  const targetX = Math.min(Math.max(action.targetX, 0), view.arena.width);
+  const input = steer(s.body, targetX);
+  // Players cannot pass each other on the ground, so hop over a teammate
+  // in the way.
+  input.jump = action.jump || teammateInWay(view, input.right ? 1 : input.left ? -1 : 0);
+  input.kick = action.kick;
+  // Special move, when it is ready and the situation suits it, as often
+  // as the profile's ability use says
+  const ability = view.arena.abilities[view.id];
+  if (abilityReady(ability, s.body)) {
+    input.ability = wantsAbility(ability, view.state, view.id, view.arena, targetX, input.kick) &&
+      rng() < profile.abilityUse;
+  }
+  return input;
+}
+
+// Whether a teammate of the player stands right next to it in direction
+// `dir` (+1 right, -1 left, 0 for none).
+function teammateInWay({ state, id, arena }, dir) {
+  const body = state[id];
+  if (dir === 0) return false;
+  for (const other in state) {
+    const p = state[other];
+    if (other === String(id) || !p || p.charge === undefined || !sameTeam(arena, other, id)) continue;
+    const dx = (p.x - body.x) * dir;
+    if (dx > 0 && dx < arena.player.radius * 2 + 0.1 && Math.abs(p.y - body.y) < arena.player.radius) return true;
+  }
+  return false;
+}
+
+// Input running a player at `body` towards `targetX`, or standing once it
+// is there.
+function steer(body, targetX) {
+  const move = Math.abs(targetX - body.x) > 0.05;
+  return {
+    left: move && targetX < body.x,
+    right: move && targetX > body.x,
+    jump: false,
+    ability: false,
+    kick: false
+  };
+}
+
+// Advance the AI controlling player `id` by `dtMs` and return the input to
+// send for it. `state` is a decoded snapshot, `arena` the resolved arena
+// config and `random` a Math.random‑like function such as createRng gives,
+// so that a seed decides every choice of the AI. The AI only decides
+// (see decide) when its reaction time has elapsed and keeps the previous
+// decision in between; the one‑shot `ability` and `kick` flags are set only
+// on the update that decided them.
+export function updateAI(memory, state, id, arena, profile, dtMs, random) {
+  const input = memory.input;
+  input.ability = false;
+  input.kick = false;
+  memory.decisionCountdown -= dtMs;
+  if (memory.decisionCountdown > 0 || !state.ball || !state[id]) return input;
+  memory.decisionCountdown = profile.reactionTime * 1000;
+  Object.assign(input, decide({ state, id, arena }, profile, memory, random));
+  return input;
+}
+
+// Decide the input of a penalty taker, who stands next to the bouncing
+// ball on the spot and picks a bounce to strike it on: low for a ground
+// kick, or high for a header over the keeper's head. A ball around the
+// taker's middle makes a weak, readable shot, and the aim error blurs how
+// well the taker avoids it.
+function decideShooter({ state, id, arena }, profile, rng) {
+  const ball = state.ball;
+  const body = state[id];
+  const gap = Math.hypot(ball.x - body.x, ball.y - body.y) - arena.player.radius - arena.ball.radius;
+  const input = steer(body, body.x);
+  const height = ball.y - body.y + aimOffset(profile, rng);
+  const clean = Math.abs(height - arena.player.radius * 0.5) > SHOOTER_MISHIT;
+  // Not every clean bounce is taken, so the keeper cannot tell which one
+  // the shot comes off.
+  input.kick = ball.x > body.x && gap < 0.2 && (clean || rng() < 0.2) && rng() < 0.5;
+  return input;
+}
+
+// Decide the input of a penalty keeper guarding the right goal. It holds
+// its place in front of the line (see arena.shootout), where its body
+// blocks low shots, and punches away any ball it can reach; how often it
+// catches a shot in reach depends on its reaction time, and the aim error
+// blurs its judgement of the reach.
+function decideKeeper({ state, id, arena }, profile, rng) {
+  const ball = state.ball;
+  const body = state[id];
+  const input = steer(body, arena.width - arena.goal.depth - arena.shootout.keeperDepth);
+  const reach = KEEPER_REACH + aimOffset(profile, rng);
+  input.kick = ball.x < body.x && Math.hypot(ball.x - body.x, ball.y - body.y) < reach;
+  return input;
+}
+
+// Whether the AI controlling player `id` should use `ability` now.
+//   superJump – the ball is high above and close
+//   dash – the target is far away
+//   powerShot – about to kick
+//   shoulderCharge – an opponent is close and nearer the ball
+function wantsAbility(ability, state, id, arena, targetX, kicking) {
+  const ball = state.ball;
+  const body = state[id];
+  if (ability === 'superJump') {
+    return ball.y > body.y + 1.0 && Math.abs(ball.x - body.x) < 0.6;
+  }
+  if (ability === 'dash') {
+    return Math.abs(targetX - body.x) > 2.5;
+  }
+  if (ability === 'powerShot') {
+    return kicking;
+  }
+  if (ability === 'shoulderCharge') {
+    for (const other in state) {
+      const p = state[other];
+      if (other === String(id) || !p || p.charge === undefined || sameTeam(arena, other, id)) continue;
+      const dx = p.x - body.x;
+      if (Math.abs(dx) < 1.0 && Math.abs(p.y - body.y) < 0.4 && Math.abs(ball.x - p.x) < Math.abs(ball.x - body.x)) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+// Whether players `a` and `b` are on the same team, i.e. kick off in the
+// same half.
+function sameTeam(arena, a, b) {
+  const half = (id) => arena.spawns.players[id].x < arena.width / 2;
+  return half(a) === half(b);
+}
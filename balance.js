@@ -0,0 +1,182 @@
+/*
+ * Balance reports for Node. runBalance() plays batches of headless
+ * AI‑vs‑AI matches (see simulateMatch) between pairs of sides and sums up
+ * how each pairing went: wins, draws, goals and goal difference. A side is
+ * an aiProfiles level with an optional special move, written 'Legend' or
+ * 'Legend/dash' (see parseSide); the avatars of the game differ only in
+ * their move (see CHARACTER_ABILITIES in abilities.js), so this covers
+ * every character too.
+ *
+ * The two sides of a pairing swap ends every match, so that neither gains
+ * from kicking off in the same half every time, and every match has its
+ * own seed: the same options always give the same report.
+ *
+ * Run from the command line to write the report as JSON and/or CSV:
+ *
+ *   node balance.js Legend:Elite Pro/dash:Pro/powerShot --matches 200 --json report.json --csv report.csv
+ *   node balance.js --all --matches 100 --period 60
+ *
+ * `--all` pairs every level with every other one; without --json or --csv
+ * the CSV goes to standard output.
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { pathToFileURL } from 'node:url';
+import { ABILITIES } from './abilities.js';
+import { aiLevels, aiProfiles } from './ai.js';
+import { simulateMatch } from './simulate.js';
+
+// Special move of a side that names none, as in simulateMatch
+const DEFAULT_ABILITY = 'superJump';
+
+// The side written as `text` ('Legend' or 'Legend/dash'):
+// { level, ability }, or null when the level or the move is unknown.
+export function parseSide(text) {
+  const [level, ability = DEFAULT_ABILITY] = String(text).split('/');
+  if (!aiProfiles[level] || !ABILITIES[ability]) return null;
+  return { level, ability };
+}
+
+// Short name of `side`, the way parseSide reads it.
+export function sideLabel(side) {
+  return side.ability === DEFAULT_ABILITY ? side.level : `${side.level}/${side.ability}`;
+}
+
+// Every pairing of two different `sides`, each once.
+export function allMatchups(sides) {
+  const matchups = [];
+  sides.forEach((a, i) => {
+    sides.slice(i + 1).forEach((b) => matchups.push({ a, b }));
+  });
+  return matchups;
+}
+
+// Play `matches` matches for each of `matchups` ({ a, b } pairs of sides)
+// and return the report:
+//   { matches, teamSize, rules, seed, rows }
+// with one row per matchup, from side a's point of view:
+//   { a, b, matches, winsA, winsB, draws, winRateA, winRateB, goalsA,
+//     goalsB, goalDiff, shootouts }
+// where the sides are given by sideLabel, the win rates are fractions of
+// the matches, goalDiff is side a's average goal difference per match and
+// shootouts counts the matches decided on penalties. `rules` and
+// `teamSize` are passed on to simulateMatch; `onMatch(done, total)` is
+// called after every match.
+export async function runBalance({ matchups, matches = 100, teamSize = 1, rules, seed = 1 }, onMatch = () => {}) {
+  const total = matchups.length * matches;
+  let done = 0;
+  const rows = [];
+  for (const { a, b } of matchups) {
+    const row = {
+      a: sideLabel(a),
+      b: sideLabel(b),
+      matches,
+      winsA: 0,
+      winsB: 0,
+      draws: 0,
+      winRateA: 0,
+      winRateB: 0,
+      goalsA: 0,
+      goalsB: 0,
+      goalDiff: 0,
+      shootouts: 0
+    };
+    for (let i = 0; i < matches; i++) {
+      // Side a kicks off in the left half in even matches.
+      const aLeft = i % 2 === 0;
+      const left = aLeft ? a : b;
+      const right = aLeft ? b : a;
+      const result = await simulateMatch({
+        aiLevelLeft: left.level,
+        aiLevelRight: right.level,
+        abilityLeft: left.ability,
+        abilityRight: right.ability,
+        teamSize,
+        rules,
+        seed: seed + i
+      });
+      const teamA = aLeft ? 'left' : 'right';
+      row.goalsA += aLeft ? result.scoreLeft : result.scoreRight;
+      row.goalsB += aLeft ? result.scoreRight : result.scoreLeft;
+      if (result.winner === null) row.draws += 1;
+      else if (result.winner === teamA) row.winsA += 1;
+      else row.winsB += 1;
+      if (result.endReason === 'shootout') row.shootouts += 1;
+      done += 1;
+      onMatch(done, total);
+    }
+    row.winRateA = matches > 0 ? row.winsA / matches : 0;
+    row.winRateB = matches > 0 ? row.winsB / matches : 0;
+    row.goalDiff = matches > 0 ? (row.goalsA - row.goalsB) / matches : 0;
+    rows.push(row);
+  }
+  return { matches, teamSize, rules: rules || null, seed, rows };
+}
+
+const CSV_COLUMNS = ['a', 'b', 'matches', 'winsA', 'winsB', 'draws', 'winRateA', 'winRateB', 'goalsA', 'goalsB', 'goalDiff', 'shootouts'];
+
+// The rows of `report` as CSV with a header line; rates and the goal
+// difference are rounded to three decimals.
+export function balanceCsv(report) {
+  const cell = (value) => (typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(3) : String(value));
+  const lines = [CSV_COLUMNS.join(',')];
+  report.rows.forEach((row) => lines.push(CSV_COLUMNS.map((column) => cell(row[column])).join(',')));
+  return lines.join('\n') + '\n';
+}
+
+const USAGE = 'Usage: node balance.js <a>:<b> ... | --all [--matches N] [--team-size N] [--period seconds] [--seed N] [--json file] [--csv file]';
+
+// Options that take a positive whole number, by their key in `options`
+const NUMBER_OPTIONS = { '--matches': 'matches', '--team-size': 'teamSize', '--seed': 'seed', '--period': 'period' };
+
+// Command line entry point; `args` as in process.argv.slice(2).
+async function main(args) {
+  const options = { matches: 100, teamSize: 1, seed: 1, period: null, json: null, csv: null, all: false };
+  const pairs = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--all') options.all = true;
+    else if (NUMBER_OPTIONS[arg]) {
+      const value = Number(args[++i]);
+      if (!Number.isInteger(value) || value <= 0) {
+        console.error(`${arg} needs a positive whole number, got "${args[i]}"`);
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+      }
+      options[NUMBER_OPTIONS[arg]] = value;
+    } else if (arg === '--json') options.json = args[++i];
+    else if (arg === '--csv') options.csv = args[++i];
+    else pairs.push(arg);
+  }
+  const matchups = options.all ? allMatchups(aiLevels.map((level) => parseSide(level))) : [];
+  for (const pair of pairs) {
+    const [a, b] = pair.split(':').map(parseSide);
+    if (!a || !b) {
+      console.error(`Unknown matchup "${pair}": expected e.g. Legend:Elite or Pro/dash:Pro/powerShot (levels: ${aiLevels.join(', ')}; moves: ${Object.keys(ABILITIES).join(', ')})`);
+      process.exitCode = 1;
+      return;
+    }
+    matchups.push({ a, b });
+  }
+  if (matchups.length === 0) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+  const rules = options.period ? { periodMs: options.period * 1000 } : undefined;
+  const report = await runBalance({ ...options, matchups, rules }, (done, total) => {
+    process.stderr.write(`\r${done}/${total}`);
+  });
+  process.stderr.write('\n');
+  if (options.json) await writeFile(options.json, JSON.stringify(report, null, 2) + '\n');
+  if (options.csv) await writeFile(options.csv, balanceCsv(report));
+  if (!options.json && !options.csv) process.stdout.write(balanceCsv(report));
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+}
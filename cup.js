@@ -0,0 +1,152 @@
+/*
+ * Single‑player cup: an eight‑team knockout against the ladder of AI
+ * levels. The player (entrant 0) and seven AI teams (entrants 1 to 7, see
+ * CUP_TEAMS) play quarter‑finals, semi‑finals and a final. Only the
+ * player's ties are played out on the pitch; the other ties of a round are
+ * given a quick result, weighted by the teams' AI levels, once the player's
+ * match of that round is over.
+ *
+ * The cup is a plain object that survives JSON, so main.js can keep it in
+ * localStorage between sessions. Its `version` is CUP_VERSION; a stored
+ * cup with another version is discarded.
+ */
+
+import { aiLevels, createRng } from './ai.js';
+
+export const CUP_VERSION = 1;
+
+// The AI teams. `level` is an aiLevels name and `avatar` an index into the
+// avatars of main.js (characterTextures).
+export const CUP_TEAMS = [
+  { name: 'Дворовые', level: 'Rookie', avatar: 1 },
+  { name: 'Соседи', level: 'Amateur', avatar: 2 },
+  { name: 'Студенты', level: 'Amateur', avatar: 4 },
+  { name: 'Заводские', level: 'Pro', avatar: 3 },
+  { name: 'Портовые', level: 'Pro', avatar: 5 },
+  { name: 'Столичные', level: 'Elite', avatar: 2 },
+  { name: 'Легенды', level: 'Legend', avatar: 3 }
+];
+
+export const CUP_ROUNDS = ['Четвертьфинал', 'Полуфинал', 'Финал'];
+
+// Match rules for the player's ties. The final is played over two halves
+// with a longer golden‑goal overtime and a penalty shootout if it is still
+// level. A tie of an earlier round that ends level is replayed.
+export const CUP_RULES = { periodMs: 90 * 1000, periods: 1, overtime: true, overtimeMs: 30 * 1000, scoreLimit: 0, mercyLead: 0, bestOf: 1 };
+export const CUP_FINAL_RULES = { ...CUP_RULES, periodMs: 60 * 1000, periods: 2, overtimeMs: 60 * 1000, shootout: true };
+
+// Quarter‑final pairings by entrant: the player opens against the weakest
+// team and cannot meet the strongest before the final.
+const DRAW = [[0, 1], [2, 4], [3, 5], [6, 7]];
+
+// Start a new cup. `seed` makes the quick results of the other ties
+// repeatable.
+export function createCup(seed) {
+  return {
+    version: CUP_VERSION,
+    seed: seed >>> 0,
+    round: 0,
+    rounds: [DRAW.map(([home, away]) => createFixture(home, away))],
+    eliminated: false,
+    champion: null
+  };
+}
+
+// `penalties` is set when a level tie was decided by a shootout.
+function createFixture(home, away) {
+  return { home, away, scoreHome: null, scoreAway: null, winner: null, penalties: false };
+}
+
+// Name of an entrant; the player is called `playerName`.
+export function entrantName(entrant, playerName) {
+  return entrant === 0 ? playerName : CUP_TEAMS[entrant - 1].name;
+}
+
+// The player's fixture that is still to be played, or null once they are
+// out or the cup is over.
+export function playerFixture(cup) {
+  if (cup.eliminated || cup.champion !== null) return null;
+  return cup.rounds[cup.round].find((f) => f.winner === null && (f.home === 0 || f.away === 0)) || null;
+}
+
+// The AI team the player meets in `fixture`.
+export function fixtureOpponent(fixture) {
+  return CUP_TEAMS[(fixture.home === 0 ? fixture.away : fixture.home) - 1];
+}
+
+// Match rules for the current round.
+export function cupRules(cup) {
+  return cup.round === CUP_ROUNDS.length - 1 ? CUP_FINAL_RULES : CUP_RULES;
+}
+
+// Record the player's match in the current round. `shootoutWon` says
+// whether the player won the penalty shootout of a level match, and is
+// left out when there was none. A draw without a shootout leaves the tie
+// to be replayed and returns 'replay'. Otherwise the other ties of the
+// round get their results and the next round is drawn; the return value is
+// 'advanced', 'eliminated' or 'champion'. Once the player is out the rest
+// of the cup is completed straight away so that it has a champion.
+export function recordCupMatch(cup, playerGoals, opponentGoals, shootoutWon) {
+  const fixture = playerFixture(cup);
+  if (!fixture) return null;
+  const penalties = playerGoals === opponentGoals;
+  if (penalties && shootoutWon === undefined) return 'replay';
+  const home = fixture.home === 0;
+  setResult(fixture, home ? playerGoals : opponentGoals, home ? opponentGoals : playerGoals);
+  if (penalties) {
+    fixture.winner = shootoutWon ? 0 : home ? fixture.away : fixture.home;
+    fixture.penalties = true;
+  }
+  completeRound(cup);
+  if (fixture.winner !== 0) {
+    cup.eliminated = true;
+    while (cup.champion === null) completeRound(cup);
+    return 'eliminated';
+  }
+  return cup.champion === 0 ? 'champion' : 'advanced';
+}
+
+function setResult(fixture, scoreHome, scoreAway) {
+  fixture.scoreHome = scoreHome;
+  fixture.scoreAway = scoreAway;
+  fixture.winner = scoreHome > scoreAway ? fixture.home : fixture.away;
+}
+
+// Give every unplayed tie of the current round a quick result, then draw
+// the next round from the winners or crown the champion.
+function completeRound(cup) {
+  const fixtures = cup.rounds[cup.round];
+  const random = createRng(cup.seed + cup.round * 7919);
+  fixtures.forEach((f) => {
+    if (f.winner === null) quickResult(f, random);
+  });
+  if (fixtures.length === 1) {
+    cup.champion = fixtures[0].winner;
+    return;
+  }
+  const next = [];
+  for (let i = 0; i < fixtures.length; i += 2) {
+    next.push(createFixture(fixtures[i].winner, fixtures[i + 1].winner));
+  }
+  cup.rounds.push(next);
+  cup.round += 1;
+}
+
+// Decide a tie between two AI teams. Each side gets five chances that go
+// in more often the higher its AI level; a level score is settled by one
+// more goal for a side picked with the same odds.
+function quickResult(fixture, random) {
+  const strength = (entrant) => 0.12 + 0.06 * aiLevels.indexOf(CUP_TEAMS[entrant - 1].level);
+  const a = strength(fixture.home);
+  const b = strength(fixture.away);
+  let home = 0;
+  let away = 0;
+  for (let i = 0; i < 5; i++) {
+    if (random() < a) home++;
+    if (random() < b) away++;
+  }
+  if (home === away) {
+    if (random() < a / (a + b)) home++; else away++;
+  }
+  setResult(fixture, home, away);
+}
@@ -7,8 +7,24 @@
  * opponent on the “Rookie” level. The implementation here
  * prioritises clarity over completeness and should serve as a solid
  * foundation for subsequent iterations.
+ *
+ * The simulation model, match rules and AI live in their own modules
+ * (physics.js, rules.js, ai.js) so they can also run headless under Node;
+ * see simulate.js.
  */
 
+import { ABILITIES, CHARACTER_ABILITIES, CHARGE_MAX, abilityReady } from './abilities.js';
+import { aiLevels, aiProfiles, createAIMemory, createRng, updateAI } from './ai.js';
+import { ADAPTIVE_LEVEL, adaptiveLevelName, adaptiveProfile, advanceAdaptive, finishAdaptive, restoreAdaptiveRecord, shotQuality, startAdaptive } from './adaptive.js';
+import { ACHIEVEMENTS, UNLOCKS, findItem, isUnlocked, levelForXp, migrateProfile, recordMatchResult, unlockRequirement } from './profile.js';
+import { CUP_ROUNDS, CUP_TEAMS, CUP_VERSION, createCup, cupRules, entrantName, fixtureOpponent, playerFixture, recordCupMatch } from './cup.js';
+import { DEFAULT_RULES, SHOOTOUT_KICKS, advanceClock, createMatch, createSeries, matchWinner, recordGame, recordGoal, recordPenalty, scoringTeam, seriesWinner, shootoutKicker, shootoutScore, shootoutTally } from './rules.js';
+import { SNAPSHOT_RING_SLOTS, createSnapshotRing, readSnapshot, snapshotRingViews } from './snapshot.js';
+import { DEFAULT_ARENA, TICK_MS } from './physics.js';
+import { ROLE_LABELS, TEAM_SIZES, createRoster, humanPlayer, penaltyPair, rosterArena, teamPlayers } from './teams.js';
+import { HEATMAP_COLS, HEATMAP_ROWS, breakStatsSamples, createMatchStats, recordStatsEvent, sampleStats, summarizeStats } from './stats.js';
+import { DRILLS, advanceDrill, createDrillRun, drillArena, drillEvent, findDrill, recordDrillScore } from './training.js';
+
 // Global PixiJS application. It automatically resizes to the
 // viewport and uses a solid background colour defined in index.html.
 const app = new PIXI.Application({
@@ -74,6 +90,22 @@ function playGoalSound(colour) {
   osc.stop(audioCtx.currentTime + 0.2);
 }
 
+// Short click for ball impacts reported by the physics worker. Louder for
+// harder impacts; the crossbar rings at a higher pitch than other hits.
+function playImpactSound(impulse, surface) {
+  if (!audioCtx) return;
+  const volume = Math.min(0.15, impulse * 0.1);
+  if (volume < 0.01) return;
+  const osc = audioCtx.createOscillator();
+  const gain = audioCtx.createGain();
+  osc.frequency.value = surface === 'crossbar' ? 1200 : 180;
+  osc.type = 'triangle';
+  gain.gain.value = volume;
+  osc.connect(gain).connect(audioCtx.destination);
+  osc.start();
+  osc.stop(audioCtx.currentTime + 0.05);
+}
+
 // -----------------------------------------------------------------------------
 // Asset preloading
 //
@@ -93,39 +125,169 @@ for (let i = 1; i <= 6; i++) {
   characterTextures.push(tex);
 }
 
+// The player's profile (see profile.js): name, XP, achievements and the
+// unlocked and selected avatar, kit and ball. Stored in localStorage and
+// migrated to the current schema when loaded.
+let profile = loadProfile();
+function loadProfile() {
+  try {
+    return migrateProfile(JSON.parse(localStorage.getItem('profile')));
+  } catch (e) {
+    return migrateProfile(null);
+  }
+}
+function saveProfile() {
+  localStorage.setItem('profile', JSON.stringify(profile));
+}
+
+// Menu label of an unlockable item.
+function itemLabel(item) {
+  if (item.type === 'avatar') return `Персонаж ${item.id + 1}`;
+  return `${item.type === 'kit' ? 'Форма' : 'Мяч'} «${item.label}»`;
+}
+
 // Currently selected character index for the player. This value is
 // modified in the menu when the user picks an avatar and then passed
-// to the match scene via the `options` argument.
-let selectedCharacterIndex = 0;
+// to the match scene via the `options` argument. It is remembered in the
+// profile.
+let selectedCharacterIndex = profile.selected.avatar;
+// Avatar of player 2 in hot‑seat mode (the opponent in 1v1, the partner
+// in 2v2); the AI gets one picked for it.
+let selectedOpponentIndex = 3;
+
+// Game mode chosen in the menu: 'ai' plays against the computer, 'hotSeat'
+// lets two people play on one keyboard or touch screen and 'spectate'
+// shows two AI teams playing each other.
+let selectedMode = 'ai';
+const MODES = ['ai', 'hotSeat', 'spectate'];
+const MODE_LABELS = { ai: 'Против AI', hotSeat: 'Вдвоём', spectate: 'AI против AI' };
+// Levels of the blue (left) and red (right) AI teams in spectator mode,
+// picked in the menu from the fixed aiLevels
+const spectatorLevels = { left: 'Legend', right: 'Elite' };
+// Players per team (see TEAM_SIZES in teams.js). In 2v2 against the AI the
+// human gets an AI partner; in hot‑seat mode the two people play together
+// against two AIs instead of against each other.
+let selectedTeamSize = 1;
+
+// Names shown for the two players in hot‑seat mode. They can be changed by
+// tapping a name in the menu and are persisted in localStorage.
+let playerNames = loadPlayerNames();
+function loadPlayerNames() {
+  try {
+    const names = JSON.parse(localStorage.getItem('playerNames'));
+    if (Array.isArray(names) && names.length === 2) return names;
+  } catch (e) {
+    // fall through to the defaults
+  }
+  return ['Игрок 1', 'Игрок 2'];
+}
+
+// Keyboard layouts: which key drives which input of which human (`id` is
+// the human, 1 or 2, not the roster id of their player). With one human
+// either set of keys controls them. With two, in hot‑seat mode, each has
+// their own keys: WASD with F for human 1 and the arrows with L for human
+// 2. Movement and jump are held buttons; `kick` and `ability` are one‑shot
+// flags (see sendInput in startMatch).
+const KEY_BINDINGS = {
+  ai: {
+    ArrowLeft: { id: 1, action: 'left' },
+    KeyA: { id: 1, action: 'left' },
+    ArrowRight: { id: 1, action: 'right' },
+    KeyD: { id: 1, action: 'right' },
+    Space: { id: 1, action: 'jump' },
+    ArrowUp: { id: 1, action: 'jump' },
+    KeyW: { id: 1, action: 'jump' },
+    KeyJ: { id: 1, action: 'kick' },
+    ArrowDown: { id: 1, action: 'kick' },
+    KeyK: { id: 1, action: 'ability' }
+  },
+  hotSeat: {
+    KeyA: { id: 1, action: 'left' },
+    KeyD: { id: 1, action: 'right' },
+    KeyW: { id: 1, action: 'jump' },
+    KeyS: { id: 1, action: 'kick' },
+    KeyF: { id: 1, action: 'ability' },
+    ArrowLeft: { id: 2, action: 'left' },
+    ArrowRight: { id: 2, action: 'right' },
+    ArrowUp: { id: 2, action: 'jump' },
+    ArrowDown: { id: 2, action: 'kick' },
+    KeyL: { id: 2, action: 'ability' }
+  }
+};
+
+// Orders for AI teammates in 2v2: the key gives the role they switch to
+// (see createAIMemory in ai.js), forward to attack or back to defend.
+const PARTNER_COMMAND_KEYS = { Digit1: 'attacker', Digit2: 'defender' };
+
+// Options for a new match with the mode, team size, avatars and rules
+// picked in the menu. Two people in 2v2 play together (`coop`) against the
+// AI. A spectated match (`spectate`) has no humans; aiLevelLeft gives the
+// level of the blue team and aiLevel that of the red one.
+function newMatchOptions() {
+  const options = { characterIndex: selectedCharacterIndex, rules: selectedRules, teamSize: selectedTeamSize };
+  if (selectedMode === 'spectate') {
+    return { ...options, ai: true, spectate: true, aiLevelLeft: spectatorLevels.left, aiLevel: spectatorLevels.right };
+  }
+  if (selectedMode === 'hotSeat' && selectedTeamSize > 1) {
+    return { ...options, ai: true, aiLevel: selectedAILevel, coop: true, partnerIndex: selectedOpponentIndex, playerNames: playerNames.slice() };
+  }
+  if (selectedMode === 'hotSeat') {
+    return { ...options, ai: false, opponentIndex: selectedOpponentIndex, playerNames: playerNames.slice() };
+  }
+  return { ...options, ai: true, aiLevel: selectedAILevel };
+}
 
 // -----------------------------------------------------------------------------
-// AI difficulty profiles and replay storage
+// AI difficulty selection and replay storage
 //
-// The game offers five levels of AI sophistication. Each level is defined by
-// two parameters: a reaction time (in seconds) indicating how often the AI
-// will reconsider its inputs, and an aim error (in degrees) that determines
-// how accurately the AI targets the ball when moving or jumping. These
-// profiles roughly map to the difficulty names used in the game design
-// document. Higher difficulties have faster reactions and smaller errors.
-const aiLevels = ['Rookie', 'Amateur', 'Pro', 'Elite', 'Legend'];
-const aiProfiles = {
-  Rookie:  { reactionTime: 0.30, aimError: 15 },
-  Amateur: { reactionTime: 0.25, aimError: 12 },
-  Pro:     { reactionTime: 0.20, aimError: 9  },
-  Elite:   { reactionTime: 0.15, aimError: 6  },
-  Legend:  { reactionTime: 0.12, aimError: 3  }
-};
+// The AI difficulty levels and their profiles are defined in ai.js.
 // The currently selected difficulty level. It is adjusted in the menu when
-// cycling through the available AI options. Default to Rookie.
+// cycling through the available AI options: the fixed levels and then the
+// adaptive one (see adaptive.js). Default to Rookie.
 let selectedAILevel = 'Rookie';
+const menuAILevels = [...aiLevels, ADAPTIVE_LEVEL];
+
+// Where the adaptive AI stands with the player: the skill the last match
+// against it ended on and the recent goal differences (see adaptive.js).
+let adaptiveRecord = loadAdaptiveRecord();
+function loadAdaptiveRecord() {
+  try {
+    return restoreAdaptiveRecord(JSON.parse(localStorage.getItem('adaptiveAI')));
+  } catch (e) {
+    return restoreAdaptiveRecord(null);
+  }
+}
+function saveAdaptiveRecord() {
+  localStorage.setItem('adaptiveAI', JSON.stringify(adaptiveRecord));
+}
+
+// Match rules for the next match (see rules.js). They are chosen on the
+// pre‑match setup screen (showMatchSetup) and persisted in localStorage,
+// so the Play button keeps using the last rules picked.
+let selectedRules = loadMatchRules();
+function loadMatchRules() {
+  try {
+    const json = localStorage.getItem('matchRules');
+    return { ...DEFAULT_RULES, ...(json ? JSON.parse(json) : {}) };
+  } catch (e) {
+    return { ...DEFAULT_RULES };
+  }
+}
 
 // A simple replay system persists finished matches to localStorage. Each
-// replay is an object with a timestamp, the AI level, final score and a
-// sequence of frames. Frames capture the positions of the ball and players
-// roughly ten times per second alongside the remaining time and score at
-// that moment. Replays can later be played back at various speeds. We
-// lazily load the stored list on startup and save it back whenever a
-// replay is added or removed.
+// replay is an object with a timestamp, the AI level (and in a spectated
+// match the blue team's as aiLevelLeft), the seed of the AI's random
+// source (aiSeed, see createRng in ai.js), the roster (with each player's
+// avatar), the arena config and match rules the match was played with,
+// its place in a series or cup (if any), final score, the goal log
+// (scoring team and last touch), the penalty shootout (see createMatch in
+// rules.js; null without one), the statistics and a sequence of frames.
+// Frames capture the positions of the ball (with its rotation) and of the
+// players by roster id roughly ten times per second alongside the remaining
+// time and score at that moment, and in a shootout the penalties scored
+// by each team as `penalties: [left, right]`. Replays can later be played back at
+// various speeds. We lazily load the stored list on startup and save it
+// back whenever a replay is added or removed.
 let replays = [];
 function loadReplays() {
   try {
@@ -140,6 +302,113 @@ function saveReplays() {
 }
 loadReplays();
 
+// The single‑player cup in progress (see cup.js), or null. It is kept in
+// localStorage so a cup can be continued in a later session; a stored cup
+// from an incompatible version is dropped.
+let cup = null;
+function loadCup() {
+  try {
+    const stored = JSON.parse(localStorage.getItem('cup'));
+    cup = stored && stored.version === CUP_VERSION ? stored : null;
+  } catch (e) {
+    cup = null;
+  }
+}
+function saveCup() {
+  localStorage.setItem('cup', JSON.stringify(cup));
+}
+loadCup();
+
+// Personal bests of the training drills by drill id (see training.js)
+let drillBests = loadDrillBests();
+function loadDrillBests() {
+  try {
+    const stored = JSON.parse(localStorage.getItem('drillBests'));
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch (e) {
+    return {};
+  }
+}
+function saveDrillBests() {
+  localStorage.setItem('drillBests', JSON.stringify(drillBests));
+}
+// Replays saved before the arena config was stored with each record were
+// all recorded on the original pitch. Only the fields used for rendering
+// are needed.
+const LEGACY_REPLAY_ARENA = {
+  width: 10,
+  height: 5,
+  goal: { height: 1.6, depth: 0.7 },
+  ball: { radius: 0.11 },
+  player: { radius: 0.3 }
+};
+
+// Draw both goals into a Graphics object in world-scaled pixel space (the
+// same space as the entity containers: x = worldX * scale and
+// y = (arena.height - worldY) * scale). Each goal is a net filling the
+// strip between the side wall and the goal line, with a white post and
+// crossbar along the mouth, sized from the arena config reported by the
+// physics worker.
+function drawGoals(g, scale, arena) {
+  g.clear();
+  const worldWidth = arena.width;
+  const goalDepth = arena.goal.depth;
+  const top = (arena.height - arena.goal.height) * scale;
+  const bottom = arena.height * scale;
+  const depth = goalDepth * scale;
+  const mesh = 0.15 * scale;
+  [0, worldWidth - goalDepth].forEach((x0) => {
+    const left = x0 * scale;
+    const right = left + depth;
+    // Net background
+    g.beginFill(0xffffff, 0.15);
+    g.drawRect(left, top, depth, bottom - top);
+    g.endFill();
+    // Net mesh
+    g.lineStyle(1, 0xffffff, 0.5);
+    for (let x = left + mesh; x < right; x += mesh) {
+      g.moveTo(x, top);
+      g.lineTo(x, bottom);
+    }
+    for (let y = top + mesh; y < bottom; y += mesh) {
+      g.moveTo(left, y);
+      g.lineTo(right, y);
+    }
+    // Post and crossbar on the goal-line side
+    const lineX = x0 === 0 ? right : left;
+    g.lineStyle(Math.max(2, 0.08 * scale), 0xffffff, 1);
+    g.moveTo(lineX, bottom);
+    g.lineTo(lineX, top);
+    g.lineTo(x0 === 0 ? left : right, top);
+  });
+  g.lineStyle(0);
+}
+
+// Draw the ball into a Graphics object centred on its origin: a filled
+// circle of `radius` pixels with a dark centre panel and seams running out
+// to the rim, so that the ball's rotation is visible when the Graphics is
+// rotated.
+function drawBall(g, radius, fillColor) {
+  g.clear();
+  g.beginFill(fillColor);
+  g.drawCircle(0, 0, radius);
+  g.endFill();
+  const panel = radius * 0.4;
+  const corners = [];
+  for (let i = 0; i < 5; i++) {
+    const a = -Math.PI / 2 + i * 2 * Math.PI / 5;
+    corners.push(Math.cos(a) * panel, Math.sin(a) * panel);
+  }
+  g.beginFill(0x333333);
+  g.drawPolygon(corners);
+  g.endFill();
+  g.lineStyle(Math.max(1, radius * 0.1), 0x333333, 1);
+  for (let i = 0; i < 5; i++) {
+    g.moveTo(corners[i * 2], corners[i * 2 + 1]);
+    g.lineTo(corners[i * 2] * 2.5, corners[i * 2 + 1] * 2.5);
+  }
+  g.lineStyle(0);
+}
 
 // Scene management helpers. Each scene clears the stage and
 // constructs its own display list.
@@ -201,10 +470,29 @@ function showMenu() {
   title.x = app.renderer.width / 2;
   title.y = app.renderer.height * 0.3;
   container.addChild(title);
-  // Character selection row
-  {
+  // Profile summary in the top‑left corner
+  const progress = levelForXp(profile.xp);
+  const profileText = new PIXI.Text(`${profile.name} · уровень ${progress.level} · ${progress.into}/${progress.needed} XP`, {
+    fontFamily: 'Arial',
+    fontSize: 18,
+    fill: 0xffffff
+  });
+  profileText.x = 20;
+  profileText.y = 20;
+  container.addChild(profileText);
+  // Character selection rows: one for player 1, and in hot‑seat mode a
+  // second one for player 2 (the opponent, or the partner in 2v2), each
+  // with its player's special move and key below. In hot‑seat mode the
+  // caption also shows the player's name; tap it to rename the player.
+  // Avatars the profile has not unlocked yet are dimmed and show what
+  // unlocks them when tapped.
+  const hotSeat = selectedMode === 'hotSeat';
+  const spectate = selectedMode === 'spectate';
+  if (!isUnlocked(profile, 'avatar', selectedOpponentIndex)) selectedOpponentIndex = 1;
+  if (hotSeat || spectate) title.y = app.renderer.height * 0.16;
+  function buildCharacterRow(y, player, getIndex, setIndex) {
     const row = new PIXI.Container();
-    row.y = app.renderer.height * 0.4;
+    row.y = y;
     row.x = app.renderer.width / 2;
     const spacing = 90;
     const icons = [];
@@ -212,7 +500,7 @@ function showMenu() {
       const iconContainer = new PIXI.Container();
       // faint background circle
       const bg = new PIXI.Graphics();
-      bg.beginFill(0xffffff, 0.2);
+      bg.beginFill(0xffffff, idx === getIndex() ? 0.5 : 0.2);
       bg.drawCircle(0, 0, 38);
       bg.endFill();
       iconContainer.addChild(bg);
@@ -227,31 +515,115 @@ function showMenu() {
       const outline = new PIXI.Graphics();
       outline.lineStyle(4, 0xffff00);
       outline.drawCircle(0, 0, 40);
-      outline.visible = idx === selectedCharacterIndex;
+      outline.visible = idx === getIndex();
       iconContainer.addChild(outline);
       icons.push({ bg, outline });
+      const locked = !isUnlocked(profile, 'avatar', idx);
+      if (locked) {
+        spr.alpha = 0.35;
+        const lock = new PIXI.Text('🔒', { fontFamily: 'Arial', fontSize: 24 });
+        lock.anchor.set(0.5);
+        iconContainer.addChild(lock);
+      }
       // position horizontally
       iconContainer.x = (idx - (characterTextures.length - 1) / 2) * spacing;
       // interaction
       iconContainer.interactive = true;
       iconContainer.buttonMode = true;
       iconContainer.on('pointerdown', () => {
-        selectedCharacterIndex = idx;
+        if (locked) {
+          abilityText.text = `🔒 Откроется: ${unlockRequirement(findItem('avatar', idx))}`;
+          return;
+        }
+        setIndex(idx);
         icons.forEach((it, i) => {
-          it.outline.visible = i === selectedCharacterIndex;
-          it.bg.alpha = i === selectedCharacterIndex ? 0.5 : 0.2;
+          it.outline.visible = i === getIndex();
+          it.bg.alpha = i === getIndex() ? 0.5 : 0.2;
         });
+        abilityText.text = abilityCaption();
       });
       row.addChild(iconContainer);
     });
     container.addChild(row);
+    // Signature move of the selected avatar (see abilities.js)
+    const key = hotSeat ? (player === 1 ? 'F' : 'L') : 'K';
+    const abilityCaption = () => {
+      const label = ABILITIES[CHARACTER_ABILITIES[getIndex()]].label;
+      // In spectator mode the row picks the avatar of the blue AI.
+      if (spectate) return `Синие · приём: ${label}`;
+      const caption = `Приём: ${label} (${key})`;
+      return hotSeat ? `${playerNames[player - 1]} ✎ · ${caption}` : caption;
+    };
+    const abilityText = new PIXI.Text(abilityCaption(), { fontFamily: 'Arial', fontSize: 18, fill: 0xffffff });
+    abilityText.anchor.set(0.5);
+    abilityText.x = app.renderer.width / 2;
+    abilityText.y = row.y + 55;
+    if (hotSeat) {
+      abilityText.interactive = true;
+      abilityText.buttonMode = true;
+      abilityText.on('pointerdown', () => {
+        const name = prompt(`Имя игрока ${player}`, playerNames[player - 1]);
+        if (name && name.trim()) {
+          playerNames[player - 1] = name.trim().slice(0, 16);
+          localStorage.setItem('playerNames', JSON.stringify(playerNames));
+          abilityText.text = abilityCaption();
+        }
+      });
+    }
+    container.addChild(abilityText);
+  }
+  buildCharacterRow(app.renderer.height * (hotSeat || spectate ? 0.26 : 0.4), 1, () => selectedCharacterIndex, (idx) => {
+    selectedCharacterIndex = idx;
+    profile.selected.avatar = idx;
+    saveProfile();
+  });
+  if (hotSeat) {
+    buildCharacterRow(app.renderer.height * 0.38, 2, () => selectedOpponentIndex, (idx) => {
+      selectedOpponentIndex = idx;
+    });
   }
 
+  // Mode button: cycles through playing against the AI, hot‑seat play for
+  // two and watching the AI play itself (see MODES). The menu is rebuilt
+  // for the chosen mode.
+  const teams = selectedTeamSize > 1;
+  const modeText = new PIXI.Text(MODE_LABELS[selectedMode], {
+    fontFamily: 'Arial',
+    fontSize: 28,
+    fill: 0x000000,
+    fontWeight: 'bold'
+  });
+  const modeBtn = buildButton(modeText, () => {
+    selectedMode = MODES[(MODES.indexOf(selectedMode) + 1) % MODES.length];
+    showMenu();
+  });
+  modeBtn.x = app.renderer.width / 2 - 220;
+  modeBtn.y = app.renderer.height * 0.50;
+  container.addChild(modeBtn);
+  // Team size button: cycles through 1v1 and 2v2 (see TEAM_SIZES)
+  const sizeText = new PIXI.Text(`${selectedTeamSize}×${selectedTeamSize}`, {
+    fontFamily: 'Arial',
+    fontSize: 28,
+    fill: 0x000000,
+    fontWeight: 'bold'
+  });
+  const sizeBtn = buildButton(sizeText, () => {
+    selectedTeamSize = TEAM_SIZES[(TEAM_SIZES.indexOf(selectedTeamSize) + 1) % TEAM_SIZES.length];
+    showMenu();
+  });
+  sizeBtn.x = app.renderer.width / 2 + 200;
+  sizeBtn.y = app.renderer.height * 0.50;
+  container.addChild(sizeBtn);
+
   // Difficulty button to cycle through AI levels. The button text shows
   // the current difficulty and cycles through the predefined list on
   // each click. Changing the difficulty updates the global
-  // `selectedAILevel`, which is read when starting a match.
-  const diffText = new PIXI.Text(`AI: ${selectedAILevel}`, {
+  // `selectedAILevel`, which is read when starting a match. The adaptive
+  // level also shows the level the player's record puts it at.
+  const diffLabel = () => selectedAILevel === ADAPTIVE_LEVEL
+    ? `AI: ${ADAPTIVE_LEVEL} (≈ ${adaptiveLevelName(adaptiveRecord.skill)})`
+    : `AI: ${selectedAILevel}`;
+  const diffText = new PIXI.Text(diffLabel(), {
     fontFamily: 'Arial',
     fontSize: 28,
     fill: 0x000000,
@@ -259,18 +631,42 @@ function showMenu() {
   });
   const diffBtn = buildButton(diffText, () => {
     // Cycle to next difficulty
-    let idx = aiLevels.indexOf(selectedAILevel);
-    idx = (idx + 1) % aiLevels.length;
-    selectedAILevel = aiLevels[idx];
-    diffText.text = `AI: ${selectedAILevel}`;
+    let idx = menuAILevels.indexOf(selectedAILevel);
+    idx = (idx + 1) % menuAILevels.length;
+    selectedAILevel = menuAILevels[idx];
+    diffText.text = diffLabel();
   });
   diffBtn.anchor = new PIXI.Point(0.5, 0.5);
   diffBtn.x = app.renderer.width / 2;
   diffBtn.y = app.renderer.height * 0.50;
-  container.addChild(diffBtn);
+  // There is no AI to configure when two people play each other, and in
+  // spectator mode each team has its own level instead.
+  if ((!hotSeat || teams) && !spectate) container.addChild(diffBtn);
+  // Spectator mode: a level button per team, where the second avatar row
+  // of hot‑seat mode goes
+  if (spectate) {
+    [['left', 'Синие', -160], ['right', 'Красные', 160]].forEach(([team, name, dx]) => {
+      const text = new PIXI.Text(`${name}: ${spectatorLevels[team]}`, {
+        fontFamily: 'Arial',
+        fontSize: 24,
+        fill: 0x000000,
+        fontWeight: 'bold'
+      });
+      const btn = buildButton(text, () => {
+        spectatorLevels[team] = aiLevels[(aiLevels.indexOf(spectatorLevels[team]) + 1) % aiLevels.length];
+        text.text = `${name}: ${spectatorLevels[team]}`;
+      });
+      btn.x = app.renderer.width / 2 + dx - text.width / 2;
+      btn.y = app.renderer.height * 0.38;
+      container.addChild(btn);
+    });
+  }
 
   // Play button
-  const playText = new PIXI.Text('Играть против AI', {
+  let playLabel = hotSeat ? 'Играть вдвоём' : 'Играть против AI';
+  if (teams) playLabel = hotSeat ? 'Вдвоём против AI' : `Играть ${selectedTeamSize}×${selectedTeamSize} против AI`;
+  if (spectate) playLabel = 'Смотреть матч AI';
+  const playText = new PIXI.Text(playLabel, {
     fontFamily: 'Arial',
     fontSize: 32,
     fill: 0x000000,
@@ -292,11 +688,23 @@ function showMenu() {
     btn.on('pointerdown', onClick);
     return btn;
   }
-  const playBtn = buildButton(playText, () => startMatch({ ai: true, aiLevel: selectedAILevel, characterIndex: selectedCharacterIndex }));
+  const playBtn = buildButton(playText, () => startMatch(newMatchOptions()));
   playBtn.anchor = new PIXI.Point(0.5, 0.5);
   playBtn.x = app.renderer.width / 2;
   playBtn.y = app.renderer.height * 0.57;
   container.addChild(playBtn);
+  // Match rules button: opens the pre‑match setup screen
+  const rulesText = new PIXI.Text('Правила матча', {
+    fontFamily: 'Arial',
+    fontSize: 28,
+    fill: 0x000000,
+    fontWeight: 'bold'
+  });
+  const rulesBtn = buildButton(rulesText, showMatchSetup);
+  rulesBtn.anchor = new PIXI.Point(0.5, 0.5);
+  rulesBtn.x = app.renderer.width / 2;
+  rulesBtn.y = app.renderer.height * 0.645;
+  container.addChild(rulesBtn);
   // Settings button
   const settingsText = new PIXI.Text('Настройки', {
     fontFamily: 'Arial',
@@ -309,6 +717,28 @@ function showMenu() {
   settingsBtn.x = app.renderer.width / 2;
   settingsBtn.y = app.renderer.height * 0.72;
   container.addChild(settingsBtn);
+  // Cup button: opens the bracket of the single‑player cup
+  const cupText = new PIXI.Text('Кубок', {
+    fontFamily: 'Arial',
+    fontSize: 28,
+    fill: 0x000000,
+    fontWeight: 'bold'
+  });
+  const cupBtn = buildButton(cupText, showCupScreen);
+  cupBtn.x = app.renderer.width / 2 - 180;
+  cupBtn.y = app.renderer.height * 0.72;
+  container.addChild(cupBtn);
+  // Training button: opens the drill picker
+  const trainingText = new PIXI.Text('Тренировка', {
+    fontFamily: 'Arial',
+    fontSize: 28,
+    fill: 0x000000,
+    fontWeight: 'bold'
+  });
+  const trainingBtn = buildButton(trainingText, showTraining);
+  trainingBtn.x = app.renderer.width / 2 + 200;
+  trainingBtn.y = app.renderer.height * 0.72;
+  container.addChild(trainingBtn);
 
   // Replays button to view saved replays
   const replaysText = new PIXI.Text('Повторы', {
@@ -322,6 +752,17 @@ function showMenu() {
   replaysBtn.x = app.renderer.width / 2;
   replaysBtn.y = app.renderer.height * 0.79;
   container.addChild(replaysBtn);
+  // Profile button: level, achievements, kits and ball skins
+  const profileBtnText = new PIXI.Text('Профиль', {
+    fontFamily: 'Arial',
+    fontSize: 28,
+    fill: 0x000000,
+    fontWeight: 'bold'
+  });
+  const profileBtn = buildButton(profileBtnText, showProfile);
+  profileBtn.x = app.renderer.width / 2 - 200;
+  profileBtn.y = app.renderer.height * 0.79;
+  container.addChild(profileBtn);
 
   // Clear cache button: allows user to delete cached assets and reload. Useful
   // when problems occur with stale content. It invokes the Cache API and
@@ -447,6 +888,129 @@ function showSettings() {
   document.body.appendChild(overlay);
 }
 
+// Choices offered on the pre‑match setup screen, one row per rule. Each
+// row cycles through `values` on click; `get` and `set` read and write the
+// value in a rules object (see DEFAULT_RULES in rules.js).
+const MATCH_RULE_CHOICES = [
+  {
+    label: 'Длительность тайма',
+    values: [60000, 90000, 120000, 180000],
+    format: (v) => `${v / 1000} с`,
+    get: (r) => r.periodMs,
+    set: (r, v) => { r.periodMs = v; }
+  },
+  {
+    label: 'Таймы',
+    values: [1, 2],
+    format: (v) => (v === 1 ? 'Один' : 'Два, со сменой сторон'),
+    get: (r) => r.periods,
+    set: (r, v) => { r.periods = v; }
+  },
+  {
+    label: 'Овертайм (золотой гол)',
+    values: [0, 30000, 60000],
+    format: (v) => (v === 0 ? 'Нет' : `${v / 1000} с`),
+    get: (r) => (r.overtime ? r.overtimeMs : 0),
+    set: (r, v) => {
+      r.overtime = v > 0;
+      if (v > 0) r.overtimeMs = v;
+    }
+  },
+  {
+    label: 'Серия пенальти при ничьей',
+    values: [false, true],
+    format: (v) => (v ? 'Да' : 'Нет'),
+    get: (r) => !!r.shootout,
+    set: (r, v) => { r.shootout = v; }
+  },
+  {
+    label: 'Игра до голов',
+    values: [0, 3, 5, 7],
+    format: (v) => (v === 0 ? 'Без ограничения' : String(v)),
+    get: (r) => r.scoreLimit,
+    set: (r, v) => { r.scoreLimit = v; }
+  },
+  {
+    label: 'Досрочная победа при разнице',
+    values: [0, 3, 5],
+    format: (v) => (v === 0 ? 'Нет' : `${v} ${v < 5 ? 'гола' : 'голов'}`),
+    get: (r) => r.mercyLead,
+    set: (r, v) => { r.mercyLead = v; }
+  },
+  {
+    label: 'Серия',
+    values: [1, 3, 5],
+    format: (v) => (v === 1 ? 'Один матч' : `До ${(v + 1) / 2} побед из ${v}`),
+    get: (r) => r.bestOf,
+    set: (r, v) => { r.bestOf = v; }
+  }
+];
+
+// Display the pre‑match setup screen as an HTML overlay: one button per
+// rule that cycles through the choices above. The rules are saved in
+// localStorage when the screen is closed or the match is started.
+function showMatchSetup() {
+  const rules = { ...selectedRules };
+  const overlay = document.createElement('div');
+  overlay.style.position = 'fixed';
+  overlay.style.top = '0';
+  overlay.style.left = '0';
+  overlay.style.width = '100%';
+  overlay.style.height = '100%';
+  overlay.style.background = 'rgba(0, 0, 0, 0.7)';
+  overlay.style.display = 'flex';
+  overlay.style.justifyContent = 'center';
+  overlay.style.alignItems = 'center';
+  overlay.style.zIndex = '1000';
+  const panel = document.createElement('div');
+  panel.style.background = '#ffffff';
+  panel.style.padding = '20px';
+  panel.style.borderRadius = '8px';
+  panel.style.maxWidth = '90%';
+  panel.style.color = '#000000';
+  const title = document.createElement('h2');
+  title.textContent = 'Правила матча';
+  panel.appendChild(title);
+  MATCH_RULE_CHOICES.forEach((choice) => {
+    const row = document.createElement('div');
+    row.style.marginTop = '10px';
+    row.textContent = `${choice.label}: `;
+    const button = document.createElement('button');
+    button.style.marginLeft = '10px';
+    button.textContent = choice.format(choice.get(rules));
+    button.onclick = () => {
+      // Values saved by an older version may not be in the list; they
+      // continue with the first choice.
+      const index = choice.values.indexOf(choice.get(rules));
+      choice.set(rules, choice.values[(index + 1) % choice.values.length]);
+      button.textContent = choice.format(choice.get(rules));
+    };
+    row.appendChild(button);
+    panel.appendChild(row);
+  });
+  function close() {
+    selectedRules = rules;
+    localStorage.setItem('matchRules', JSON.stringify(rules));
+    document.body.removeChild(overlay);
+  }
+  const startBtn = document.createElement('button');
+  startBtn.textContent = 'Начать матч';
+  startBtn.style.marginTop = '20px';
+  startBtn.onclick = () => {
+    close();
+    startMatch(newMatchOptions());
+  };
+  panel.appendChild(startBtn);
+  const closeBtn = document.createElement('button');
+  closeBtn.textContent = 'Закрыть';
+  closeBtn.style.marginTop = '20px';
+  closeBtn.style.marginLeft = '10px';
+  closeBtn.onclick = close;
+  panel.appendChild(closeBtn);
+  overlay.appendChild(panel);
+  document.body.appendChild(overlay);
+}
+
 // Display a first‑time user tutorial. The tutorial explains the basic
 // controls and objective of the game. It appears only once per browser
 // (controlled by localStorage) and pauses the game until dismissed.
@@ -488,9 +1052,14 @@ function showTutorial() {
     ul.appendChild(li);
   };
   addLi('Цель матча — забить больше голов за 90 секунд.');
-  addLi('Управление: ←/→ или A/D — бег, ↑/W/Пробел — прыжок, K — супер‑прыжок.');
+  addLi('Управление: ←/→ или A/D — бег, ↑/W/Пробел — прыжок, J/↓ — удар, K — фирменный приём.');
+  addLi('У каждого персонажа свой приём: супер‑прыжок, рывок, пушечный удар или толчок плечом. Шкала над полем показывает заряд и перезарядку.');
+  addLi('Esc или кнопка ⏸ — пауза.');
   addLi('На мобильных используйте кнопки внизу экрана.');
   addLi('В меню можно выбрать персонажа и сложность AI.');
+  addLi('Режим «Вдвоём»: игрок 1 — A/D и W, S — удар, F — приём; игрок 2 — стрелки, ↓ — удар, L — приём. На сенсорном экране у каждого свои кнопки по краям.');
+  addLi('В кубке вы проходите турнирную сетку против AI всё более высокого уровня; прогресс сохраняется.');
+  addLi('Матчи против AI приносят опыт: новые уровни и достижения открывают персонажей, формы и мячи (см. «Профиль»).');
   addLi('Повторы ваших матчей сохраняются и доступны из меню.');
   panel.appendChild(ul);
   // Start button
@@ -508,6 +1077,270 @@ function showTutorial() {
   document.body.appendChild(overlay);
 }
 
+// Display the cup bracket as an HTML overlay: every round with its ties,
+// results where they have been played, and the player's next match. A new
+// cup is started when there is none yet.
+function showCupScreen() {
+  if (!cup) {
+    cup = createCup(Date.now());
+    saveCup();
+  }
+  const overlay = document.createElement('div');
+  overlay.style.position = 'fixed';
+  overlay.style.top = '0';
+  overlay.style.left = '0';
+  overlay.style.width = '100%';
+  overlay.style.height = '100%';
+  overlay.style.background = 'rgba(0, 0, 0, 0.7)';
+  overlay.style.display = 'flex';
+  overlay.style.justifyContent = 'center';
+  overlay.style.alignItems = 'center';
+  overlay.style.zIndex = '1500';
+  const panel = document.createElement('div');
+  panel.style.background = '#fff';
+  panel.style.padding = '20px';
+  panel.style.borderRadius = '8px';
+  panel.style.maxHeight = '80%';
+  panel.style.overflowY = 'auto';
+  const title = document.createElement('h2');
+  title.textContent = 'Кубок';
+  panel.appendChild(title);
+  const next = playerFixture(cup);
+  const name = (entrant) => entrantName(entrant, 'Вы');
+  CUP_ROUNDS.forEach((roundName, round) => {
+    const heading = document.createElement('h3');
+    heading.textContent = roundName;
+    heading.style.margin = '10px 0 4px';
+    panel.appendChild(heading);
+    const fixtures = cup.rounds[round];
+    if (!fixtures) {
+      const msg = document.createElement('div');
+      msg.textContent = 'Пары определятся позже';
+      msg.style.color = '#666666';
+      panel.appendChild(msg);
+      return;
+    }
+    fixtures.forEach((f) => {
+      const row = document.createElement('div');
+      const score = f.winner === null ? '—' : `${f.scoreHome} : ${f.scoreAway}${f.penalties ? ' (пен.)' : ''}`;
+      const level = (entrant) => (entrant === 0 ? '' : ` (${CUP_TEAMS[entrant - 1].level})`);
+      row.textContent = `${name(f.home)}${level(f.home)}  ${score}  ${name(f.away)}${level(f.away)}`;
+      if (f === next) row.style.fontWeight = 'bold';
+      panel.appendChild(row);
+    });
+  });
+  const status = document.createElement('p');
+  if (cup.champion === 0) {
+    status.textContent = 'Кубок ваш!';
+  } else if (cup.eliminated) {
+    status.textContent = `Вы выбыли. Кубок выиграли: ${name(cup.champion)}.`;
+  } else {
+    const opponent = fixtureOpponent(next);
+    const finalNote = cup.round === CUP_ROUNDS.length - 1 ? ' Финал играется в два тайма с минутным овертаймом, при ничьей — серия пенальти.' : ' Ничья — переигровка.';
+    status.textContent = `Следующий матч: ${CUP_ROUNDS[cup.round]} против команды «${opponent.name}».${finalNote}`;
+  }
+  panel.appendChild(status);
+  function close() {
+    document.body.removeChild(overlay);
+  }
+  if (next) {
+    const playBtn = document.createElement('button');
+    playBtn.textContent = 'Играть матч';
+    playBtn.onclick = () => {
+      close();
+      startCupMatch();
+    };
+    panel.appendChild(playBtn);
+  }
+  const newBtn = document.createElement('button');
+  newBtn.textContent = 'Новый кубок';
+  newBtn.style.marginLeft = '4px';
+  newBtn.onclick = () => {
+    if (!next || confirm('Начать новый кубок? Текущий будет потерян.')) {
+      cup = createCup(Date.now());
+      saveCup();
+      close();
+      showCupScreen();
+    }
+  };
+  panel.appendChild(newBtn);
+  const closeBtn = document.createElement('button');
+  closeBtn.textContent = 'Закрыть';
+  closeBtn.style.marginLeft = '4px';
+  closeBtn.onclick = close;
+  panel.appendChild(closeBtn);
+  overlay.appendChild(panel);
+  document.body.appendChild(overlay);
+}
+
+// Display the training drills as an HTML overlay: each drill with its
+// description, number of attempts and personal best, and a button that
+// starts it.
+function showTraining() {
+  const overlay = document.createElement('div');
+  overlay.style.position = 'fixed';
+  overlay.style.top = '0';
+  overlay.style.left = '0';
+  overlay.style.width = '100%';
+  overlay.style.height = '100%';
+  overlay.style.background = 'rgba(0, 0, 0, 0.7)';
+  overlay.style.display = 'flex';
+  overlay.style.justifyContent = 'center';
+  overlay.style.alignItems = 'center';
+  overlay.style.zIndex = '1500';
+  const panel = document.createElement('div');
+  panel.style.background = '#fff';
+  panel.style.padding = '20px';
+  panel.style.borderRadius = '8px';
+  panel.style.maxHeight = '80%';
+  panel.style.maxWidth = '480px';
+  panel.style.overflowY = 'auto';
+  const title = document.createElement('h2');
+  title.textContent = 'Тренировка';
+  panel.appendChild(title);
+  function close() {
+    document.body.removeChild(overlay);
+  }
+  DRILLS.forEach((drill) => {
+    const heading = document.createElement('h3');
+    heading.textContent = drill.name;
+    heading.style.margin = '10px 0 4px';
+    panel.appendChild(heading);
+    const description = document.createElement('div');
+    description.textContent = drill.description;
+    panel.appendChild(description);
+    const best = drillBests[drill.id];
+    const info = document.createElement('div');
+    info.textContent = `Попыток: ${drill.attempts} · рекорд: ${best === undefined ? '—' : best}`;
+    info.style.color = '#666666';
+    panel.appendChild(info);
+    const startBtn = document.createElement('button');
+    startBtn.textContent = 'Начать';
+    startBtn.onclick = () => {
+      close();
+      startMatch({ drill: drill.id, characterIndex: selectedCharacterIndex, arena: drillArena(drill) });
+    };
+    panel.appendChild(startBtn);
+  });
+  const closeBtn = document.createElement('button');
+  closeBtn.textContent = 'Закрыть';
+  closeBtn.style.display = 'block';
+  closeBtn.style.marginTop = '12px';
+  closeBtn.onclick = close;
+  panel.appendChild(closeBtn);
+  overlay.appendChild(panel);
+  document.body.appendChild(overlay);
+}
+
+// Play the player's next cup tie against the AI team's level and avatar
+// (or another avatar when the player picked the same one).
+function startCupMatch() {
+  const opponent = fixtureOpponent(playerFixture(cup));
+  const opponentIndex = opponent.avatar === selectedCharacterIndex
+    ? (opponent.avatar + 3) % characterTextures.length
+    : opponent.avatar;
+  startMatch({
+    ai: true,
+    aiLevel: opponent.level,
+    characterIndex: selectedCharacterIndex,
+    opponentIndex,
+    rules: cupRules(cup),
+    cup: { round: cup.round, opponent: opponent.name }
+  });
+}
+
+// Display the profile as an HTML overlay: name (with a button to change
+// it), level and XP, match totals, achievements and the kits and ball
+// skins, which can be picked once unlocked. The menu is rebuilt on close
+// so it shows the new name and level.
+function showProfile() {
+  const overlay = document.createElement('div');
+  overlay.style.position = 'fixed';
+  overlay.style.top = '0';
+  overlay.style.left = '0';
+  overlay.style.width = '100%';
+  overlay.style.height = '100%';
+  overlay.style.background = 'rgba(0, 0, 0, 0.7)';
+  overlay.style.display = 'flex';
+  overlay.style.justifyContent = 'center';
+  overlay.style.alignItems = 'center';
+  overlay.style.zIndex = '1500';
+  const panel = document.createElement('div');
+  panel.style.background = '#fff';
+  panel.style.padding = '20px';
+  panel.style.borderRadius = '8px';
+  panel.style.maxHeight = '80%';
+  panel.style.overflowY = 'auto';
+  const title = document.createElement('h2');
+  title.textContent = profile.name;
+  panel.appendChild(title);
+  const renameBtn = document.createElement('button');
+  renameBtn.textContent = 'Изменить имя';
+  renameBtn.onclick = () => {
+    const name = prompt('Ваше имя', profile.name);
+    if (name && name.trim()) {
+      profile.name = name.trim().slice(0, 16);
+      saveProfile();
+      title.textContent = profile.name;
+    }
+  };
+  panel.appendChild(renameBtn);
+  const progress = levelForXp(profile.xp);
+  const stats = document.createElement('p');
+  stats.textContent = `Уровень ${progress.level} (${progress.into}/${progress.needed} XP). Матчей: ${profile.matches}, побед: ${profile.wins}, голов: ${profile.goals}.`;
+  panel.appendChild(stats);
+  const achHeading = document.createElement('h3');
+  achHeading.textContent = 'Достижения';
+  panel.appendChild(achHeading);
+  for (const id in ACHIEVEMENTS) {
+    const row = document.createElement('div');
+    row.textContent = `${profile.achievements.includes(id) ? '✓' : '—'} ${ACHIEVEMENTS[id].label}`;
+    panel.appendChild(row);
+  }
+  // One row per kit or ball skin: a button to pick it, or what unlocks it
+  [['kit', 'Форма'], ['ball', 'Мяч']].forEach(([type, heading]) => {
+    const h = document.createElement('h3');
+    h.textContent = heading;
+    panel.appendChild(h);
+    UNLOCKS.filter((item) => item.type === type).forEach((item) => {
+      const row = document.createElement('div');
+      row.style.marginBottom = '4px';
+      const swatch = document.createElement('span');
+      swatch.textContent = '●';
+      swatch.style.color = `#${item.color.toString(16).padStart(6, '0')}`;
+      swatch.style.marginRight = '6px';
+      row.appendChild(swatch);
+      row.appendChild(document.createTextNode(item.label));
+      if (isUnlocked(profile, type, item.id)) {
+        const pick = document.createElement('button');
+        pick.style.marginLeft = '10px';
+        pick.textContent = profile.selected[type] === item.id ? 'Выбрано' : 'Выбрать';
+        pick.disabled = profile.selected[type] === item.id;
+        pick.onclick = () => {
+          profile.selected[type] = item.id;
+          saveProfile();
+          document.body.removeChild(overlay);
+          showProfile();
+        };
+        row.appendChild(pick);
+      } else {
+        row.appendChild(document.createTextNode(` — 🔒 ${unlockRequirement(item)}`));
+      }
+      panel.appendChild(row);
+    });
+  });
+  const closeBtn = document.createElement('button');
+  closeBtn.textContent = 'Закрыть';
+  closeBtn.style.marginTop = '10px';
+  closeBtn.onclick = () => {
+    document.body.removeChild(overlay);
+    showMenu();
+  };
+  panel.appendChild(closeBtn);
+  overlay.appendChild(panel);
+  document.body.appendChild(overlay);
+}
+
 // Display a list of saved replays. Each entry shows the date and final
 // score and offers buttons to play back the replay at different speeds.
 function showReplayList() {
@@ -545,7 +1378,11 @@ function showReplayList() {
     row.style.marginBottom = '8px';
     const label = document.createElement('span');
     const d = new Date(r.timestamp);
-    label.textContent = `${d.toLocaleString()} | ${r.finalScore}`;
+    const seriesInfo = r.series ? ` | игра ${r.series.game} из ${r.series.bestOf}` : '';
+    const players = r.playerNames ? ` | ${r.playerNames.join(' – ')}` : '';
+    const teamSize = r.roster ? r.roster.length / 2 : 1;
+    const format = teamSize > 1 ? ` | ${teamSize}×${teamSize}` : '';
+    label.textContent = `${d.toLocaleString()} | ${r.finalScore}${format}${players}${seriesInfo}`;
     row.appendChild(label);
     // Buttons for different speeds
     const speeds = [0.5, 1.0, 1.5];
@@ -585,6 +1422,158 @@ function showReplayList() {
   document.body.appendChild(overlay);
 }
 
+// Rows of the statistics table on the results screen: label and how to
+// show a player's value from summarizeStats().
+const STATS_ROWS = [
+  ['Владение', (p) => `${p.possession}%`],
+  ['Удары', (p) => p.shots],
+  ['В створ', (p) => p.shotsOnTarget],
+  ['Касания', (p) => p.touches],
+  ['Пробег', (p) => `${p.distance} м`],
+  ['Приёмы', (p) => p.abilities],
+  ['Супер‑прыжки', (p) => p.superJumps]
+];
+
+// Colours of the two teams on the heatmaps
+const HEATMAP_COLORS = { left: '34, 85, 255', right: '221, 34, 34' };
+
+// Display the results of a finished match as an HTML overlay: headline,
+// score, series/cup lines and profile rewards, the statistics of every
+// player in `players` ({ id, team, name }; the left team's columns on the
+// left) with their position heatmaps (left out when `stats` is null, as
+// after a training drill), and the buttons
+// `next` ({ label, action }: rematch or continue), 'Смотреть повтор'
+// (when `replay` holds the saved record) and 'Меню'.
+function showMatchResults({ headline, score, lines, rewards, players, stats, next, replay }) {
+  const overlay = document.createElement('div');
+  overlay.style.position = 'fixed';
+  overlay.style.top = '0';
+  overlay.style.left = '0';
+  overlay.style.width = '100%';
+  overlay.style.height = '100%';
+  overlay.style.background = 'rgba(0, 0, 0, 0.7)';
+  overlay.style.display = 'flex';
+  overlay.style.justifyContent = 'center';
+  overlay.style.alignItems = 'center';
+  overlay.style.zIndex = '1500';
+  const panel = document.createElement('div');
+  panel.style.background = '#fff';
+  panel.style.padding = '20px';
+  panel.style.borderRadius = '8px';
+  panel.style.maxHeight = '80%';
+  panel.style.overflowY = 'auto';
+  panel.style.textAlign = 'center';
+  const title = document.createElement('h2');
+  title.textContent = `${headline}  ${score}`;
+  panel.appendChild(title);
+  lines.forEach((line) => {
+    const p = document.createElement('div');
+    p.textContent = line;
+    panel.appendChild(p);
+  });
+  rewards.forEach((line) => {
+    const p = document.createElement('div');
+    p.textContent = line;
+    p.style.color = '#8a6d00';
+    panel.appendChild(p);
+  });
+  if (stats) {
+    // Statistics table: one column per player, the labels in between the
+    // two teams
+    const left = players.filter((p) => p.team === 'left');
+    const right = players.filter((p) => p.team === 'right');
+    const table = document.createElement('table');
+    table.style.margin = '12px auto';
+    table.style.borderCollapse = 'collapse';
+    const addRow = (cells, header) => {
+      const tr = document.createElement('tr');
+      cells.forEach((text, i) => {
+        const td = document.createElement(header ? 'th' : 'td');
+        td.textContent = text;
+        td.style.padding = '2px 12px';
+        if (i !== left.length) td.style.fontWeight = 'bold';
+        if (i === left.length) td.style.color = '#666666';
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    };
+    const name = (p) => p.name;
+    addRow([...left.map(name), '', ...right.map(name)], true);
+    STATS_ROWS.forEach(([label, value]) => {
+      const values = (team) => team.map((p) => value(stats[p.id]));
+      addRow([...values(left), label, ...values(right)], false);
+    });
+    panel.appendChild(table);
+    // Heatmaps: the pitch as seen in the match, each cell shaded by the share
+    // of samples the player spent there
+    const maps = document.createElement('div');
+    maps.style.display = 'flex';
+    maps.style.justifyContent = 'center';
+    maps.style.flexWrap = 'wrap';
+    maps.style.gap = '12px';
+    [...left, ...right].forEach(({ id, team, name: playerName }) => {
+      const cell = 12;
+      const canvas = document.createElement('canvas');
+      canvas.width = HEATMAP_COLS * cell;
+      canvas.height = HEATMAP_ROWS * cell;
+      canvas.title = playerName;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#2e7d32';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      const heatmap = stats[id].heatmap;
+      const max = Math.max(1, ...heatmap);
+      heatmap.forEach((count, index) => {
+        if (count === 0) return;
+        const col = index % HEATMAP_COLS;
+        // Row 0 is the bottom of the pitch
+        const row = HEATMAP_ROWS - 1 - Math.floor(index / HEATMAP_COLS);
+        ctx.fillStyle = `rgba(${HEATMAP_COLORS[team]}, ${0.2 + 0.8 * count / max})`;
+        ctx.fillRect(col * cell, row * cell, cell, cell);
+      });
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+      ctx.beginPath();
+      ctx.moveTo(canvas.width / 2, 0);
+      ctx.lineTo(canvas.width / 2, canvas.height);
+      ctx.stroke();
+      maps.appendChild(canvas);
+    });
+    panel.appendChild(maps);
+  }
+  const buttons = document.createElement('div');
+  buttons.style.marginTop = '12px';
+  function close() {
+    document.body.removeChild(overlay);
+  }
+  const nextBtn = document.createElement('button');
+  nextBtn.textContent = next.label;
+  nextBtn.onclick = () => {
+    close();
+    next.action();
+  };
+  buttons.appendChild(nextBtn);
+  if (replay) {
+    const replayBtn = document.createElement('button');
+    replayBtn.textContent = 'Смотреть повтор';
+    replayBtn.style.marginLeft = '4px';
+    replayBtn.onclick = () => {
+      close();
+      playReplay(replay, 1);
+    };
+    buttons.appendChild(replayBtn);
+  }
+  const menuBtn = document.createElement('button');
+  menuBtn.textContent = 'Меню';
+  menuBtn.style.marginLeft = '4px';
+  menuBtn.onclick = () => {
+    close();
+    showMenu();
+  };
+  buttons.appendChild(menuBtn);
+  panel.appendChild(buttons);
+  overlay.appendChild(panel);
+  document.body.appendChild(overlay);
+}
+
 // Play back a saved replay. The replay data contains a sequence of frames
 // captured at roughly 10 Hz. During playback we update the positions of
 // the ball and players according to these frames without running the
@@ -596,11 +1585,14 @@ function playReplay(replay, speed) {
   // Containers and entities similar to a normal match
   const gameContainer = new PIXI.Container();
   app.stage.addChild(gameContainer);
-  const WORLD_WIDTH = 10;
-  const WORLD_HEIGHT = 5;
+  // Replays store the arena they were recorded in; older ones predate the
+  // arena config and were all played on the original pitch.
+  const arena = replay.arena || LEGACY_REPLAY_ARENA;
   let scale = 1;
   let offsetX = 0;
   let offsetY = 0;
+  const goalGraphics = new PIXI.Graphics();
+  gameContainer.addChild(goalGraphics);
   // Entities: local constructors for circle/image with outlines. These mirror
   // the ones used in startMatch but are scoped to the replay player. They
   // store radius, outline and sprite so we can recompute scale on resize.
@@ -625,13 +1617,14 @@ function playReplay(replay, speed) {
   // Function to recompute pixel scales when the viewport changes. It
   // adjusts outlines and sprite scales just like in startMatch.
   function computeScale() {
-    const wScale = app.renderer.width / WORLD_WIDTH;
-    const hScale = app.renderer.height / WORLD_HEIGHT;
+    const wScale = app.renderer.width / arena.width;
+    const hScale = app.renderer.height / arena.height;
     scale = Math.min(wScale, hScale);
-    offsetX = (app.renderer.width - WORLD_WIDTH * scale) / 2;
-    offsetY = (app.renderer.height - WORLD_HEIGHT * scale) / 2;
+    offsetX = (app.renderer.width - arena.width * scale) / 2;
+    offsetY = (app.renderer.height - arena.height * scale) / 2;
+    drawGoals(goalGraphics, scale, arena);
     // Resize outline if needed
-    [ballEntity, player1Entity, player2Entity].forEach((ent) => {
+    [ballEntity, ...Object.values(playerEntities)].forEach((ent) => {
       ent.outline.clear();
       ent.outline.beginFill(ent.outlineColor);
       ent.outline.drawCircle(0, 0, ent.radius * 1.4 * scale);
@@ -642,23 +1635,26 @@ function playReplay(replay, speed) {
         const newScale = desiredPixels / baseHeight;
         ent.sprite.scale.set(newScale);
       } else {
-        ent.sprite.clear();
-        ent.sprite.beginFill(ent.fillColor);
-        ent.sprite.drawCircle(0, 0, ent.radius * scale);
-        ent.sprite.endFill();
+        drawBall(ent.sprite, ent.radius * scale, ent.fillColor);
       }
     });
   }
-  // Create entities using current selected character index; AI opponent uses
-  // offset as usual. We use the local constructors defined above.
-  const p1Tex = characterTextures[selectedCharacterIndex];
-  const p2Tex = characterTextures[(selectedCharacterIndex + 3) % characterTextures.length];
-  const ballEntity = makeCircleEntity(0.11, 0xffff00, 0x333333);
-  const player1Entity = makeImageEntity(0.3, p1Tex, 0x002244);
-  const player2Entity = makeImageEntity(0.3, p2Tex, 0x440000);
+  // Create entities for the recorded roster with the avatars they played
+  // with. Replays from before rosters had players 1 and 2 only and get the
+  // currently selected character index, the AI opponent an offset as
+  // usual. We use the local constructors defined above.
+  const roster = replay.roster || [
+    { id: 1, team: 'left', avatar: selectedCharacterIndex },
+    { id: 2, team: 'right', avatar: (selectedCharacterIndex + 3) % characterTextures.length }
+  ];
+  const ballEntity = makeCircleEntity(arena.ball.radius, 0xffff00, 0x333333);
+  const playerEntities = {};
   gameContainer.addChild(ballEntity.container);
-  gameContainer.addChild(player1Entity.container);
-  gameContainer.addChild(player2Entity.container);
+  roster.forEach((p) => {
+    const tex = characterTextures[p.avatar];
+    playerEntities[p.id] = makeImageEntity(arena.player.radius, tex, p.team === 'left' ? 0x002244 : 0x440000);
+    gameContainer.addChild(playerEntities[p.id].container);
+  });
   computeScale();
   app.renderer.on('resize', computeScale);
   // Scoreboard and timer
@@ -692,36 +1688,53 @@ function playReplay(replay, speed) {
       currentIndex++;
       // Convert world positions to pixel space
       const convert = (pos) => {
-        return { x: pos.x * scale, y: (WORLD_HEIGHT - pos.y) * scale };
+        return { x: pos.x * scale, y: (arena.height - pos.y) * scale };
       };
       const ballP = convert(f.ball);
-      const p1P = convert(f.p1);
-      const p2P = convert(f.p2);
       ballEntity.container.x = ballP.x;
       ballEntity.container.y = ballP.y;
-      player1Entity.container.x = p1P.x;
-      player1Entity.container.y = p1P.y;
-      player2Entity.container.x = p2P.x;
-      player2Entity.container.y = p2P.y;
+      // Screen y points down, so a counter‑clockwise physics angle is a
+      // negative PIXI rotation. Older replays have no ball angle.
+      ballEntity.sprite.rotation = -(f.ball.angle || 0);
+      // Frames recorded before rosters keep the players as p1 and p2.
+      roster.forEach(({ id }) => {
+        const pos = convert(f.players ? f.players[id] : f[`p${id}`]);
+        playerEntities[id].container.x = pos.x;
+        playerEntities[id].container.y = pos.y;
+      });
       // Update camera (centred on ball)
       const viewWidthWorld = app.renderer.width / scale;
       const halfView = viewWidthWorld / 2;
       let camX = f.ball.x;
       if (camX < halfView) camX = halfView;
-      if (camX > WORLD_WIDTH - halfView) camX = WORLD_WIDTH - halfView;
-      gameContainer.x = offsetX + ((WORLD_WIDTH / 2 - camX) * scale);
+      if (camX > arena.width - halfView) camX = arena.width - halfView;
+      gameContainer.x = offsetX + ((arena.width / 2 - camX) * scale);
       gameContainer.y = offsetY;
       // Score and timer
       scoreText.text = `${f.scoreLeft} : ${f.scoreRight}`;
       const totSec = Math.max(0, Math.ceil(f.timeLeft / 1000));
       const minutes = Math.floor(totSec / 60);
       const seconds = totSec % 60;
-      timerText.text = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+      timerText.text = f.penalties
+        ? `Пенальти ${f.penalties[0]} : ${f.penalties[1]}`
+        : `${minutes}:${seconds.toString().padStart(2, '0')}`;
     }
   }
   app.ticker.add(update);
 }
 
+// Instant goal replay. A match keeps the last GOAL_REPLAY_MS of snapshots;
+// GOAL_REPLAY_AFTER_MS after a goal (so the ball is seen in the net) play
+// is held and the buffer is shown once for each angle in
+// GOAL_REPLAY_ANGLES: the last `ms` of it, slowed down to `speed`, either
+// through the match camera (zoom 1) or zoomed in and centred on the ball.
+const GOAL_REPLAY_MS = 6000;
+const GOAL_REPLAY_AFTER_MS = 1000;
+const GOAL_REPLAY_ANGLES = [
+  { label: 'Повтор', ms: 6000, speed: 0.6, zoom: 1 },
+  { label: 'Повтор · крупный план', ms: 2000, speed: 0.35, zoom: 2.2 }
+];
+
 // Start the game scene. Accepts options; currently only `ai: true`
 // indicates that player 2 is controlled by the Rookie AI. Sets up
 // physics worker, input handlers, scoreboard, timer and sprites.
@@ -730,23 +1743,29 @@ function startMatch(options) {
   // Add a container for all game objects
   const gameContainer = new PIXI.Container();
   app.stage.addChild(gameContainer);
-  // World dimensions must match the ones in the physics worker
-  const WORLD_WIDTH = 10;
-  const WORLD_HEIGHT = 5;
+  // Arena config (dimensions, goals, ball and player sizes) as resolved by
+  // the physics worker. Nothing is drawn until the worker reports it.
+  let arena = null;
+  // Goals are drawn first so that the ball and players appear in front of
+  // the nets.
+  const goalGraphics = new PIXI.Graphics();
+  gameContainer.addChild(goalGraphics);
   let scale = 1;
   let offsetX = 0;
   let offsetY = 0;
   function computeScale() {
+    if (!arena) return;
     // Calculate scale based on viewport size while preserving aspect ratio
-    const wScale = app.renderer.width / WORLD_WIDTH;
-    const hScale = app.renderer.height / WORLD_HEIGHT;
+    const wScale = app.renderer.width / arena.width;
+    const hScale = app.renderer.height / arena.height;
     scale = Math.min(wScale, hScale);
-    offsetX = (app.renderer.width - WORLD_WIDTH * scale) / 2;
-    offsetY = (app.renderer.height - WORLD_HEIGHT * scale) / 2;
+    offsetX = (app.renderer.width - arena.width * scale) / 2;
+    offsetY = (app.renderer.height - arena.height * scale) / 2;
+    drawGoals(goalGraphics, scale, arena);
     // Redraw outlines and inner graphics/sprites to reflect new scale.
     // Ball and players may have different drawing logic. The generic
     // entity object stores references accordingly.
-    const entities = [ballEntity, player1Entity, player2Entity];
+    const entities = [ballEntity, ...Object.values(playerEntities)];
     entities.forEach((ent) => {
       // Scale and redraw outline
       ent.outline.clear();
@@ -762,29 +1781,205 @@ function startMatch(options) {
         const newScale = desiredPixels / baseHeight;
         ent.sprite.scale.set(newScale);
       } else {
-        // For primitive shapes (ball) redraw circle
-        ent.sprite.clear();
-        ent.sprite.beginFill(ent.fillColor);
-        ent.sprite.drawCircle(0, 0, ent.radius * scale);
-        ent.sprite.endFill();
+        // For primitive shapes (ball) redraw the panelled circle
+        drawBall(ent.sprite, ent.radius * scale, ent.fillColor);
       }
     });
   }
-  // Scoreboard and timer
-  let scoreLeft = 0;
-  let scoreRight = 0;
-  let timeLeftMs = 90 * 1000; // 90 seconds main period
-  let overtime = false;
+  // A training drill (options.drill, see training.js) has no clock and no
+  // opponent: human 1 plays alone against the ball launcher.
+  const drill = options.drill ? findDrill(options.drill) : null;
+  const drillRun = drill ? createDrillRun(drill) : null;
+  // Two people share the keyboard or touch screen when player 2 is not
+  // controlled by the AI. The result screen then names the players.
+  const hotSeat = !options.ai && !options.replay && !drill;
+  // In spectator mode (options.spectate) the AI plays both teams and
+  // nobody controls a player.
+  const spectate = !!options.spectate;
+  const names = options.playerNames || playerNames;
+  // Who plays: every player with their team, role and the human
+  // controlling them, if any (see teams.js). Against the AI human 1 plays
+  // on the left, with AI partners from 2v2 on; in hot‑seat mode the two
+  // people play each other, and in co‑op (options.coop) together against
+  // the AI. A drill keeps only human 1, and a spectated match has no humans.
+  const coop = !!options.coop;
+  const twoHumans = hotSeat || coop;
+  let roster = createRoster(options.teamSize || 1, hotSeat ? { left: [1], right: [2] } : { left: coop ? [1, 2] : spectate ? [] : [1], right: [] });
+  if (drill) roster = roster.filter((p) => p.human === 1);
+  // Name of a player on the scoreboard and the results screen
+  function playerLabel(p) {
+    if (spectate) {
+      const level = p.team === 'left' ? options.aiLevelLeft : aiLevelName;
+      return roster.length === 2 ? `AI (${level})` : `AI ${level}, ${ROLE_LABELS[p.role]}`;
+    }
+    if (p.human !== null) return twoHumans ? names[p.human - 1] : 'Вы';
+    if (roster.length === 2) return `AI (${aiLevelName})`;
+    return p.team === humanPlayer(roster, 1).team ? 'Партнёр (AI)' : `AI, ${ROLE_LABELS[p.role]}`;
+  }
+  // Scoreboard and timer. The match object holds the rules, the score, the
+  // clock, the current period and whether we are in golden‑goal overtime
+  // (see rules.js). The games of a series share one series object, which
+  // endMatch passes on to the next game.
+  const match = createMatch(options.rules);
+  const series = options.series || (match.rules.bestOf > 1 ? createSeries(match.rules) : null);
   const scoreText = new PIXI.Text('0 : 0', { fontFamily: 'Arial', fontSize: 32, fill: 0xffffff, fontWeight: 'bold' });
   scoreText.anchor.set(0.5);
   scoreText.x = app.renderer.width / 2;
   scoreText.y = 20;
-  const timerText = new PIXI.Text('1:30', { fontFamily: 'Arial', fontSize: 24, fill: 0xffffff });
+  const timerText = new PIXI.Text('', { fontFamily: 'Arial', fontSize: 24, fill: 0xffffff });
   timerText.anchor.set(0.5);
   timerText.x = app.renderer.width / 2;
   timerText.y = 60;
+  // Period or overtime, and the standing of the series, under the timer
+  const statusText = new PIXI.Text('', { fontFamily: 'Arial', fontSize: 16, fill: 0xffffff });
+  statusText.anchor.set(0.5);
+  statusText.x = app.renderer.width / 2;
+  statusText.y = 90;
   app.stage.addChild(scoreText);
   app.stage.addChild(timerText);
+  app.stage.addChild(statusText);
+  // Banner across the pitch for the phases outside live play (see the phase
+  // machine in physics.js): the 3‑2‑1 countdown before each kickoff, a
+  // short "go" once play starts and the goal celebration.
+  const banner = new PIXI.Text('', {
+    fontFamily: 'Arial',
+    fontSize: 64,
+    fill: 0xffffff,
+    fontWeight: 'bold',
+    dropShadow: true,
+    dropShadowBlur: 4,
+    dropShadowColor: 0x000000,
+    dropShadowDistance: 2
+  });
+  banner.anchor.set(0.5);
+  banner.x = app.renderer.width / 2;
+  banner.y = app.renderer.height * 0.35;
+  banner.visible = false;
+  app.stage.addChild(banner);
+  // During live play the banner only flashes up briefly: "go" after a
+  // countdown and, in a drill, the outcome of an attempt.
+  let goalBanner = 'ГОЛ!';
+  let lastPhase = null;
+  let flashText = '';
+  let flashMs = 0;
+  function flashBanner(text, ms) {
+    flashText = text;
+    flashMs = ms;
+  }
+  function updateBanner(dtMs) {
+    const phase = latestState.phase;
+    if (lastPhase === 'countdown' && phase === 'live') flashBanner('Вперёд!', 700);
+    lastPhase = phase;
+    flashMs = Math.max(0, flashMs - dtMs);
+    if (phase === 'countdown') {
+      banner.text = String(Math.max(1, Math.ceil(latestState.phaseTime)));
+    } else if (phase === 'goal') {
+      banner.text = goalBanner;
+    } else if (flashMs > 0) {
+      banner.text = flashText;
+    }
+    banner.visible = phase !== 'live' || flashMs > 0;
+  }
+  // Tick of a goal that ended the match. The result screen follows once
+  // its celebration is over.
+  let finalGoalTick = null;
+  function updateClock() {
+    if (drill) {
+      updateDrillBoard();
+      return;
+    }
+    if (match.shootout) {
+      updateShootoutBoard();
+      return;
+    }
+    const totalSeconds = Math.max(0, Math.ceil(match.timeLeftMs / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    timerText.text = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    const parts = [];
+    if (options.cup) {
+      parts.push(`${CUP_ROUNDS[options.cup.round]}: ${options.cup.opponent}`);
+    }
+    if (match.overtime) {
+      parts.push('Овертайм');
+    } else if (match.rules.periods > 1) {
+      parts.push(`Тайм ${match.period} из ${match.rules.periods}`);
+    }
+    if (series) {
+      // The aggregate includes the game in progress.
+      const goalsLeft = series.goalsLeft + match.scoreLeft;
+      const goalsRight = series.goalsRight + match.scoreRight;
+      parts.push(`Игра ${series.games.length + 1} из ${series.bestOf}, победы ${series.winsLeft}:${series.winsRight}, по сумме ${goalsLeft}:${goalsRight}`);
+    }
+    statusText.text = parts.join(' · ');
+  }
+  // In a penalty shootout the timer shows the penalties scored and the
+  // status line every team's penalties kick by kick: ✓ scored, ✗ missed and
+  // ○ for those of the first SHOOTOUT_KICKS still to come.
+  function updateShootoutBoard() {
+    const score = shootoutScore(match);
+    timerText.text = `Пенальти ${score.left} : ${score.right}`;
+    const tally = (team) => {
+      const kicks = shootoutTally(match, team).map((scored) => (scored ? '✓' : '✗'));
+      while (kicks.length < SHOOTOUT_KICKS) kicks.push('○');
+      return kicks.join('');
+    };
+    const label = (team) => (hotSeat ? names[team === 'left' ? 0 : 1] : team === 'left' ? 'Синие' : 'Красные');
+    statusText.text = `${label('left')} ${tally('left')} · ${tally('right')} ${label('right')}`;
+  }
+  // In a drill the scoreboard shows the points, the timer the time left for
+  // the attempt and the status line the attempt and the personal best.
+  function updateDrillBoard() {
+    scoreText.text = `Очки: ${drillRun.score}`;
+    const msLeft = drillRun.live ? drill.attemptMs - drillRun.attemptMs : drill.attemptMs;
+    timerText.text = `${Math.max(0, Math.ceil(msLeft / 1000))} с`;
+    const best = drillBests[drill.id];
+    const attempt = Math.max(1, drillRun.attempt);
+    statusText.text = `${drill.name} · попытка ${attempt} из ${drill.attempts} · рекорд ${best === undefined ? '—' : best}`;
+  }
+  updateClock();
+  // Ability meters left and right of the scoreboard, one per player: the
+  // name of the player's special move above a bar showing the charge meter,
+  // with a tick at the move's cost. The bar turns green when the move is
+  // ready; while it cools down the remaining seconds follow the name.
+  // One meter per player, the left team's on the left, one under another.
+  const abilityMeters = {};
+  roster.forEach((p) => {
+    const { id, team } = p;
+    const meter = new PIXI.Container();
+    meter.x = app.renderer.width * (team === 'left' ? 0.25 : 0.75);
+    meter.y = 20 + teamPlayers(roster, team).indexOf(p) * 34;
+    const label = new PIXI.Text('', { fontFamily: 'Arial', fontSize: 16, fill: 0xffffff });
+    label.anchor.set(0.5);
+    const bar = new PIXI.Graphics();
+    bar.y = 14;
+    meter.addChild(label);
+    meter.addChild(bar);
+    app.stage.addChild(meter);
+    abilityMeters[id] = { label, bar, member: p };
+  });
+  function updateAbilityMeters() {
+    const width = 120;
+    for (const id in abilityMeters) {
+      const player = latestState[id];
+      const name = arena.abilities[id];
+      const move = ABILITIES[name];
+      if (!player || !move) continue;
+      const { label, bar, member } = abilityMeters[id];
+      const moveName = roster.length > 2 || hotSeat || spectate ? `${playerLabel(member)}: ${move.label}` : move.label;
+      label.text = player.cooldown > 0 ? `${moveName} ${Math.ceil(player.cooldown)}с` : moveName;
+      bar.clear();
+      bar.beginFill(0x000000, 0.4);
+      bar.drawRect(-width / 2, 0, width, 8);
+      bar.endFill();
+      bar.beginFill(abilityReady(name, player) ? 0x44dd44 : 0xaaaaaa);
+      bar.drawRect(-width / 2, 0, width * player.charge / CHARGE_MAX, 8);
+      bar.endFill();
+      bar.beginFill(0xffffff);
+      bar.drawRect(-width / 2 + width * move.cost / CHARGE_MAX - 1, -2, 2, 12);
+      bar.endFill();
+    }
+  }
 
   // Particle effect container and storage. Particles are simple
   // coloured circles that disperse on goal events to make the game
@@ -851,94 +2046,340 @@ function startMatch(options) {
 
   // Instantiate entities before computing scale so that computeScale can
   // correctly access them. The ball uses a simple circle, whereas
-  // players are represented by image sprites with rounded outlines.
-  const ballEntity = createCircleEntity(0.11, 0xffff00, 0x333333);
-  // Determine textures for players: use the selected index for player1 and a
-  // different one for player2 (simple AI) by offsetting the index. We
-  // wrap indices using modulo to ensure valid indices.
-  const p1Tex = characterTextures[options.characterIndex ?? 0];
+  // players are represented by image sprites with rounded outlines. Radii
+  // are filled in from the arena config once the worker reports it.
+  // The ball skin and player 1's kit come from the profile.
+  const ballEntity = createCircleEntity(0, findItem('ball', profile.selected.ball).color, 0x333333);
+  // Avatars by roster id. Human 1 (in spectator mode the blue attacker)
+  // has the selected one. The right team's
+  // attacker (the opponent in 1v1) has options.opponentIndex, picked in
+  // hot‑seat mode or by the cup, or else a different one by offsetting the
+  // index; a co‑op partner has options.partnerIndex. Everybody else gets
+  // the next avatar nobody has yet. We wrap indices using modulo to ensure
+  // valid indices.
   const baseIndex = options.characterIndex ?? 0;
-  const p2Tex = characterTextures[(baseIndex + 3) % characterTextures.length];
-  const player1Entity = createImageEntity(0.3, p1Tex, 0x002244);
-  const player2Entity = createImageEntity(0.3, p2Tex, 0x440000);
+  const avatars = {};
+  const takenAvatars = new Set();
+  const giveAvatar = (p, index) => {
+    avatars[p.id] = index;
+    takenAvatars.add(index);
+  };
+  giveAvatar(humanPlayer(roster, 1) || teamPlayers(roster, 'left')[0], baseIndex);
+  const opponent = teamPlayers(roster, 'right')[0];
+  if (opponent) giveAvatar(opponent, options.opponentIndex ?? (baseIndex + 3) % characterTextures.length);
+  if (coop) giveAvatar(humanPlayer(roster, 2), options.partnerIndex ?? (baseIndex + 1) % characterTextures.length);
+  roster.forEach((p) => {
+    if (avatars[p.id] !== undefined) return;
+    let index = (baseIndex + 1) % characterTextures.length;
+    while (takenAvatars.has(index) && takenAvatars.size < characterTextures.length) {
+      index = (index + 1) % characterTextures.length;
+    }
+    giveAvatar(p, index);
+  });
+  // Each avatar brings its signature special move into the match. The
+  // roster also gives every player a kickoff spot.
+  const rosterOverrides = rosterArena(
+    roster,
+    (options.arena && options.arena.width) || DEFAULT_ARENA.width,
+    (p) => CHARACTER_ABILITIES[avatars[p.id]]
+  );
+  // The left team wears player 1's kit from the profile.
+  const kitColor = findItem('kit', profile.selected.kit).color;
+  const playerEntities = {};
   gameContainer.addChild(ballEntity.container);
-  gameContainer.addChild(player1Entity.container);
-  gameContainer.addChild(player2Entity.container);
+  roster.forEach((p) => {
+    playerEntities[p.id] = createImageEntity(0, characterTextures[avatars[p.id]], p.team === 'left' ? kitColor : 0x440000);
+    gameContainer.addChild(playerEntities[p.id].container);
+  });
 
   // Now that entities are created, compute initial scale and listen for
   // resize events. Without this ordering, computeScale would reference
   // undefined entities and throw.
   computeScale();
   app.renderer.on('resize', computeScale);
-  // State from worker
+  // State from worker, and the tick that state belongs to. Snapshots are
+  // decoded into the same object every time (see readSnapshot in
+  // snapshot.js), so latestState is stable once the first one arrives.
   let latestState = null;
-  // Camera tracking along the x-axis with a dead-zone. Start centred.
-  let cameraX = WORLD_WIDTH / 2;
+  let latestTick = 0;
+  const decodedState = {};
+  // Rolling buffer of the positions in the latest snapshots, oldest first,
+  // for the instant goal replay
+  const goalReplayBuffer = [];
+  function acceptSnapshot(array) {
+    latestState = readSnapshot(array, decodedState);
+    latestTick = latestState.tick;
+    const players = {};
+    roster.forEach(({ id }) => {
+      players[id] = { x: latestState[id].x, y: latestState[id].y };
+    });
+    goalReplayBuffer.push({
+      tick: latestState.tick,
+      ball: { x: latestState.ball.x, y: latestState.ball.y, angle: latestState.ball.angle },
+      players
+    });
+    while (goalReplayBuffer[0].tick < latestTick - GOAL_REPLAY_MS / TICK_MS) goalReplayBuffer.shift();
+  }
+  // Tick of the snapshot the match clock last moved on from (see update)
+  let clockTick = null;
+  // Camera tracking along the x-axis with a dead-zone. Centred once the
+  // arena is known.
+  let cameraX = 0;
   // Spawn the physics worker unless we are in a replay. In replay mode the
   // simulation is driven by recorded frames and no worker is needed. For
   // normal matches we create a new worker per match. The worker is
   // terminated on match end.
   const isReplay = options && options.replay;
-  const worker = isReplay ? null : new Worker('physicsWorker.js');
+  const worker = isReplay ? null : new Worker('physicsWorker.js', { type: 'module' });
+  // When the page is cross‑origin isolated the worker writes snapshots into
+  // a shared ring that is read every frame; otherwise snapshots arrive as
+  // transferred buffers that are handed back for reuse once decoded.
+  const canShare = typeof SharedArrayBuffer !== 'undefined' && self.crossOriginIsolated;
+  const snapshotRingBuffer = !isReplay && canShare ? createSnapshotRing() : null;
+  const snapshotRing = snapshotRingBuffer ? snapshotRingViews(snapshotRingBuffer) : null;
+  let lastRingSeq = 0;
   if (!isReplay) {
     worker.onmessage = function(event) {
       const data = event.data;
-      if (data.type === 'state') {
-        latestState = data.state;
+      if (data.type === 'arena') {
+        arena = data.arena;
+        ballEntity.radius = arena.ball.radius;
+        roster.forEach(({ id }) => {
+          playerEntities[id].radius = arena.player.radius;
+        });
+        cameraX = arena.width / 2;
+        computeScale();
+      } else if (data.type === 'state') {
+        acceptSnapshot(data.snapshot);
+        worker.postMessage({ type: 'recycle', snapshot: data.snapshot }, [data.snapshot.buffer]);
+      } else if (data.type === 'events') {
+        data.events.forEach((ev) => {
+          // Penalties do not count towards the match statistics.
+          if (!match.shootout) recordStatsEvent(stats, ev, arena);
+          if (ev.type === 'ballTouch') {
+            playImpactSound(ev.impulse, 'player');
+            if (drill) scoreDrill({ type: 'touch' });
+          } else if (ev.type === 'ballBounce') {
+            playImpactSound(ev.impulse, ev.surface);
+            if (drill && ev.surface === 'ground') scoreDrill({ type: 'ground' });
+          }
+        });
+      } else if (data.type === 'served') {
+        servePending = false;
+      } else if (match.shootout && (data.type === 'goal' || data.type === 'penaltyMissed')) {
+        // Every penalty is taken at the right goal, so only a goal
+        // credited to the left side counts for the team taking it.
+        takePenalty(data.type === 'goal' && data.scorer === 'left', data.tick);
+      } else if (data.type === 'goal' && drill) {
+        // The worker reports the side credited with the goal, so a goal
+        // for the left side went into the right net.
+        scoreDrill({ type: 'goal', side: data.scorer === 'left' ? 'right' : 'left', height: data.ball.y });
       } else if (data.type === 'goal') {
-        // Determine which side scored and update score
-        const scorer = data.scorer;
+        // Determine which team scored and update score. The worker reports
+        // the side of the pitch, which belongs to the other team after the
+        // teams switched ends, and who touched the ball last, which may be
+        // the defender (own goal).
+        const scorer = scoringTeam(match, data.scorer);
+        goalLog.push({ scorer, lastTouch: data.lastTouch, timeLeft: match.timeLeftMs, overtime: match.overtime });
+        const goldenGoal = recordGoal(match, scorer);
+        goalBanner = hotSeat ? `ГОЛ! ${names[scorer === 'left' ? 0 : 1]}` : 'ГОЛ!';
         if (scorer === 'left') {
-          scoreLeft += 1;
           // Spawn blue confetti on left score
           if (latestState && latestState.ball) {
             const pos = latestState.ball;
-            const conv = { x: pos.x * scale, y: (WORLD_HEIGHT - pos.y) * scale };
+            const conv = { x: pos.x * scale, y: (arena.height - pos.y) * scale };
             spawnParticles(conv.x, conv.y, 0x00aaff);
           }
           playGoalSound(0x00aaff);
         } else {
-          scoreRight += 1;
           // Spawn red confetti on right score
           if (latestState && latestState.ball) {
             const pos = latestState.ball;
-            const conv = { x: pos.x * scale, y: (WORLD_HEIGHT - pos.y) * scale };
+            const conv = { x: pos.x * scale, y: (arena.height - pos.y) * scale };
             spawnParticles(conv.x, conv.y, 0xff5555);
           }
           playGoalSound(0xff5555);
         }
         updateScoreboard();
-        // Golden goal ends match in overtime
-        if (overtime) {
-          endMatch();
+        goalReplayDueTick = data.tick + GOAL_REPLAY_AFTER_MS / TICK_MS;
+        // A golden goal, the score limit or the mercy rule ends the match
+        // after the celebration
+        if (goldenGoal) {
+          finalGoalTick = data.tick;
         }
       }
     };
+    // Describe the pitch, the roster's kickoff spots and the players'
+    // special moves. `options.arena`
+    // may override any part of the worker's default arena; the resolved
+    // config comes back in an 'arena' message.
+    worker.postMessage({
+      type: 'init',
+      arena: { ...rosterOverrides, ...options.arena },
+      snapshotRing: snapshotRingBuffer
+    });
+  }
+  // Score an event of the drill attempt in progress and flash its outcome.
+  // Events that arrive between posting a serve and the worker's answer
+  // still belong to the previous ball and are ignored.
+  let servePending = false;
+  function scoreDrill(event) {
+    if (servePending) return;
+    const outcome = drillEvent(drillRun, event);
+    if (outcome && outcome.label) flashBanner(outcome.label, 900);
   }
   function updateScoreboard() {
-    scoreText.text = `${scoreLeft} : ${scoreRight}`;
+    scoreText.text = `${match.scoreLeft} : ${match.scoreRight}`;
+  }
+  // Penalty shootout. The worker lines up each penalty at the right goal
+  // with the players named in the 'penalty' message (see penaltyPair) and
+  // reports its outcome as a goal or a 'penaltyMissed' message. The AI
+  // players taking part switch to their shooter and keeper roles.
+  function nextPenalty() {
+    const team = shootoutKicker(match);
+    const { shooter, keeper } = penaltyPair(roster, team, shootoutTally(match, team).length);
+    aiPlayers.forEach(({ id, memory }) => {
+      if (id === shooter) memory.role = 'shooter';
+      if (id === keeper) memory.role = 'keeper';
+    });
+    worker.postMessage({ type: 'penalty', shooter, keeper });
+  }
+  function takePenalty(scored, tick) {
+    const team = shootoutKicker(match);
+    goalBanner = scored ? 'ГОЛ!' : 'Мимо!';
+    if (scored) playGoalSound(team === 'left' ? 0x00aaff : 0xff5555);
+    // The deciding penalty ends the match once its freeze is over.
+    if (recordPenalty(match, scored)) {
+      finalGoalTick = tick;
+    } else {
+      nextPenalty();
+    }
+  }
+  // Input handling. One input object per human player, keyed by roster id
+  // in playerInputs and by human (1 or 2) in humanInputs.
+  const playerInputs = {};
+  const humanInputs = {};
+  roster.forEach((p) => {
+    if (p.human === null) return;
+    playerInputs[p.id] = { left: false, right: false, jump: false, ability: false, kick: false };
+    humanInputs[p.human] = playerInputs[p.id];
+  });
+  const keyBindings = spectate ? {} : twoHumans ? KEY_BINDINGS.hotSeat : KEY_BINDINGS.ai;
+
+  // Inputs are sent to the worker tagged with the tick they should apply
+  // to. The main thread only knows the tick of the last state it received
+  // and the worker is usually a little ahead of that, so inputs are
+  // scheduled a few ticks into the future to arrive before their tick is
+  // simulated. The worker keeps each player's input held until a new one
+  // arrives, so we only post when something changed or a one‑shot action
+  // (special move, kick) is requested.
+  const INPUT_DELAY_TICKS = 3;
+  const lastSentInputs = {};
+  function sendInput(id, input) {
+    const prev = lastSentInputs[id];
+    if (prev && !input.ability && !input.kick && prev.left === input.left && prev.right === input.right && prev.jump === input.jump) {
+      return;
+    }
+    lastSentInputs[id] = { left: input.left, right: input.right, jump: input.jump };
+    worker.postMessage({ type: 'input', id, tick: latestTick + INPUT_DELAY_TICKS, input: { ...input } });
   }
-  // Input handling
-  const playerInput = { left: false, right: false, jump: false, super: false };
-  const aiInput = { left: false, right: false, jump: false, super: false };
 
   // Replay recording: store frames roughly at 10 Hz. Only record when
   // not in replay mode. Each frame stores positions, scores and time.
   const replayFrames = [];
   let recordAccumulator = 0;
+  // Every goal of the match with the id of the last player to touch the
+  // ball, stored with the replay.
+  const goalLog = [];
+  // Statistics for the results screen (see stats.js), fed the worker's
+  // contact events and the replay frames recorded during live play.
+  const stats = createMatchStats(roster.map((p) => p.id));
   const matchStart = performance.now();
 
   // AI difficulty parameters for the match. If an AI level is provided
   // explicitly via options.aiLevel, use it, otherwise use the globally
-  // selected level. If options.ai is false the second player is
-  // controlled by a human (currently unsupported).
+  // selected level. Every player without a human is driven by its own AI,
+  // which starts out in the player's roster role.
   const aiLevelName = options && options.aiLevel ? options.aiLevel : selectedAILevel;
-  const aiProfile = aiProfiles[aiLevelName] || aiProfiles['Rookie'];
-  let aiDecisionCountdown = 0;
-  let aiLastInput = { left: false, right: false, jump: false, super: false };
-  // Super‑jump cooldowns for both players (ms). When zero they can be used.
-  let superCooldown1 = 0;
-  let superCooldown2 = 0;
+  // The adaptive level starts where the player's record puts it and
+  // retunes the profile as the match goes (see updateAdaptive below).
+  const adaptive = aiLevelName === ADAPTIVE_LEVEL && !hotSeat && !isReplay ? startAdaptive(adaptiveRecord) : null;
+  let aiProfile = adaptive ? adaptiveProfile(adaptive.skill) : aiProfiles[aiLevelName] || aiProfiles['Rookie'];
+  // AI partners of the humans keep the starting profile, so that they do
+  // not get better as their own team pulls ahead. The blue team of a
+  // spectated match plays at options.aiLevelLeft.
+  const partnerProfile = aiProfile;
+  const spectatorProfile = spectate ? aiProfiles[options.aiLevelLeft] || aiProfiles['Rookie'] : null;
+  const aiPlayers = roster
+    .filter((p) => p.human === null)
+    .map((p) => ({ id: p.id, team: p.team, memory: createAIMemory(p.role) }));
+  // Random source of the AI, seeded afresh for every match; the seed is
+  // kept with the replay record.
+  const aiSeed = Date.now() >>> 0;
+  const aiRandom = createRng(aiSeed);
+  // Team of human 1, or null when nobody plays
+  const humanTeam = spectate ? null : humanPlayer(roster, 1).team;
+  // AI teammates of human 1, who can order them forward or back (see
+  // PARTNER_COMMAND_KEYS); the order is shown under the ability meters and
+  // tapping it toggles it on touch screens.
+  const partners = aiPlayers.filter((p) => p.team === humanTeam);
+  const partnerText = new PIXI.Text('', { fontFamily: 'Arial', fontSize: 16, fill: 0xffff88 });
+  partnerText.anchor.set(0.5, 0);
+  partnerText.x = app.renderer.width * 0.25;
+  partnerText.y = 20 + teamPlayers(roster, 'left').length * 34;
+  partnerText.interactive = true;
+  partnerText.buttonMode = true;
+  partnerText.on('pointerdown', () => {
+    commandPartners(partners[0].memory.role === 'attacker' ? 'defender' : 'attacker');
+  });
+  if (partners.length > 0) app.stage.addChild(partnerText);
+  function commandPartners(role) {
+    // In a shootout the roles belong to the penalties (see nextPenalty).
+    if (match.shootout) return;
+    partners.forEach((p) => {
+      p.memory.role = role;
+    });
+    partnerText.text = `Партнёр: ${ROLE_LABELS[role]} (1 — вперёд, 2 — назад)`;
+  }
+  if (partners.length > 0) commandPartners(partners[0].memory.role);
+
+  // Adaptive difficulty. The human team's goal difference and its edge in
+  // shot quality (from the match statistics) drive the skill of the
+  // adaptive AI, and a debug HUD in the bottom corner shows the tuning; the
+  // backquote key hides and shows it.
+  function adaptiveGoalDiff() {
+    const diff = match.scoreLeft - match.scoreRight;
+    return humanTeam === 'left' ? diff : -diff;
+  }
+  function adaptiveShotEdge() {
+    const quality = (team) => {
+      let shots = 0;
+      let onTarget = 0;
+      teamPlayers(roster, team).forEach((p) => {
+        shots += stats.players[p.id].shots;
+        onTarget += stats.players[p.id].shotsOnTarget;
+      });
+      return shotQuality(shots, onTarget);
+    };
+    return quality(humanTeam) - quality(humanTeam === 'left' ? 'right' : 'left');
+  }
+  const adaptiveHud = new PIXI.Text('', { fontFamily: 'monospace', fontSize: 13, fill: 0xffffff, stroke: 0x000000, strokeThickness: 3 });
+  adaptiveHud.anchor.set(0, 1);
+  adaptiveHud.x = 10;
+  adaptiveHud.y = app.renderer.height - 10;
+  if (adaptive) app.stage.addChild(adaptiveHud);
+  function updateAdaptive(dtMs) {
+    const goalDiff = adaptiveGoalDiff();
+    const shotEdge = adaptiveShotEdge();
+    aiProfile = advanceAdaptive(adaptive, goalDiff, shotEdge, dtMs);
+    adaptiveHud.text = [
+      `Adaptive AI: ${adaptive.skill.toFixed(2)} (≈ ${adaptiveLevelName(adaptive.skill)}) → ${adaptive.target.toFixed(2)}`,
+      `реакция ${Math.round(aiProfile.reactionTime * 1000)} мс · ошибка ${aiProfile.aimError.toFixed(1)}° · способности ${Math.round(aiProfile.abilityUse * 100)}%`,
+      `прогноз ${aiProfile.horizon.toFixed(2)} с ± ${aiProfile.noise.toFixed(2)} м/с`,
+      `разница ${goalDiff > 0 ? '+' : ''}${goalDiff} · качество ударов ${shotEdge >= 0 ? '+' : ''}${shotEdge.toFixed(2)}`
+    ].join('\n');
+  }
+  if (adaptive) updateAdaptive(0);
 
   // Quality settings: cycle through high/medium/low by pressing Q. This
   // adjusts the renderer’s internal resolution. Higher resolutions
@@ -952,167 +2393,408 @@ function startMatch(options) {
     app.renderer.resize(window.innerWidth, window.innerHeight);
     computeScale();
   }
+  // Pause state. While paused the worker stops stepping, the match clock
+  // freezes and no inputs are sent. The time scale slows down or speeds up
+  // the simulation and the match clock together.
+  let paused = false;
+  let timeScale = 1;
+  const timeScales = [0.25, 0.5, 1, 2];
+  function pauseMatch() {
+    if (paused || !worker) return;
+    paused = true;
+    worker.postMessage({ type: 'pause' });
+    // Release all held buttons so nothing is stuck down after resuming.
+    for (const id in playerInputs) {
+      const input = playerInputs[id];
+      input.left = false;
+      input.right = false;
+      input.jump = false;
+      sendInput(Number(id), input);
+    }
+    showPauseMenu();
+  }
+  function resumeMatch() {
+    if (!paused) return;
+    paused = false;
+    hidePauseMenu();
+    // A goal replay keeps the worker held until it is over.
+    if (!goalReplay) worker.postMessage({ type: 'resume' });
+  }
+  function setTimeScale(value) {
+    timeScale = value;
+    if (worker) worker.postMessage({ type: 'setTimeScale', scale: value });
+  }
+  // Pause menu overlay with Resume, Restart and Quit. Built as an HTML
+  // overlay like the settings panel so it works the same on touch screens.
+  function showPauseMenu() {
+    hidePauseMenu();
+    const overlay = document.createElement('div');
+    overlay.id = 'pause-overlay';
+    overlay.style.position = 'fixed';
+    overlay.style.top = '0';
+    overlay.style.left = '0';
+    overlay.style.width = '100%';
+    overlay.style.height = '100%';
+    overlay.style.background = 'rgba(0, 0, 0, 0.6)';
+    overlay.style.display = 'flex';
+    overlay.style.flexDirection = 'column';
+    overlay.style.justifyContent = 'center';
+    overlay.style.alignItems = 'center';
+    overlay.style.gap = '12px';
+    overlay.style.zIndex = '1000';
+    const title = document.createElement('h2');
+    title.textContent = 'Пауза';
+    title.style.color = '#fff';
+    overlay.appendChild(title);
+    const addButton = (label, onClick) => {
+      const btn = document.createElement('button');
+      btn.textContent = label;
+      btn.style.padding = '10px 20px';
+      btn.style.fontSize = '18px';
+      btn.style.minWidth = '200px';
+      btn.onclick = onClick;
+      overlay.appendChild(btn);
+    };
+    addButton('Продолжить', resumeMatch);
+    addButton('Заново', () => {
+      cleanupMatch();
+      startMatch(options);
+    });
+    addButton('В меню', () => {
+      cleanupMatch();
+      showMenu();
+    });
+    document.body.appendChild(overlay);
+  }
+  function hidePauseMenu() {
+    const existing = document.getElementById('pause-overlay');
+    if (existing) existing.remove();
+  }
+  // Auto‑pause when the tab is hidden or the window loses focus, e.g. when a
+  // phone notification is opened, so no goals are conceded while away.
+  function onVisibilityChange() {
+    if (document.hidden) pauseMatch();
+  }
+  function onFocusLost() {
+    pauseMatch();
+  }
+  document.addEventListener('visibilitychange', onVisibilityChange);
+  window.addEventListener('blur', onFocusLost);
+  // On‑screen pause button in the top‑right corner for touch devices.
+  const pauseText = new PIXI.Text('⏸', { fontFamily: 'Arial', fontSize: 32, fill: 0xffffff });
+  pauseText.anchor.set(1, 0);
+  pauseText.x = app.renderer.width - 20;
+  pauseText.y = 10;
+  pauseText.interactive = true;
+  pauseText.buttonMode = true;
+  pauseText.on('pointerdown', pauseMatch);
+  app.stage.addChild(pauseText);
+
+  // Instant goal replay (see GOAL_REPLAY_ANGLES). While it plays the worker
+  // is held as in a pause, so the celebration, the kickoff and the match
+  // clock wait for it, and no inputs are sent. `goalReplay` is
+  // { frames, angle, tick, cursor }: a copy of the snapshot buffer, the
+  // index of the angle being shown, the (fractional) tick being shown and
+  // the index of the frame at or before it.
+  let goalReplay = null;
+  // Tick at which the replay of the last goal starts, or null
+  let goalReplayDueTick = null;
+  const replayLabel = new PIXI.Text('', {
+    fontFamily: 'Arial',
+    fontSize: 28,
+    fill: 0xff4444,
+    fontWeight: 'bold',
+    dropShadow: true,
+    dropShadowBlur: 4,
+    dropShadowColor: 0x000000,
+    dropShadowDistance: 2
+  });
+  replayLabel.anchor.set(0.5);
+  replayLabel.x = app.renderer.width / 2;
+  replayLabel.y = app.renderer.height * 0.2;
+  replayLabel.visible = false;
+  app.stage.addChild(replayLabel);
+  const skipText = new PIXI.Text('Пропустить ⏭', { fontFamily: 'Arial', fontSize: 24, fill: 0xffffff });
+  skipText.anchor.set(1, 0);
+  skipText.x = app.renderer.width - 20;
+  skipText.y = 60;
+  skipText.interactive = true;
+  skipText.buttonMode = true;
+  skipText.visible = false;
+  skipText.on('pointerdown', () => {
+    if (goalReplay && !paused) endGoalReplay();
+  });
+  app.stage.addChild(skipText);
+  function startGoalReplay() {
+    goalReplayDueTick = null;
+    if (goalReplayBuffer.length < 2) return;
+    goalReplay = { frames: goalReplayBuffer.slice(), angle: -1, tick: 0, cursor: 0 };
+    worker.postMessage({ type: 'pause' });
+    // Confetti would hang frozen over the replay
+    particles.forEach((p) => gameContainer.removeChild(p.gfx));
+    particles.length = 0;
+    banner.visible = false;
+    replayLabel.visible = true;
+    skipText.visible = true;
+    nextGoalReplayAngle();
+  }
+  function nextGoalReplayAngle() {
+    goalReplay.angle += 1;
+    const angle = GOAL_REPLAY_ANGLES[goalReplay.angle];
+    if (!angle) {
+      endGoalReplay();
+      return;
+    }
+    const frames = goalReplay.frames;
+    goalReplay.tick = Math.max(frames[0].tick, frames[frames.length - 1].tick - angle.ms / TICK_MS);
+    goalReplay.cursor = 0;
+    replayLabel.text = angle.label;
+  }
+  function endGoalReplay() {
+    goalReplay = null;
+    gameContainer.scale.set(1);
+    replayLabel.visible = false;
+    skipText.visible = false;
+    // Kicks and moves pressed while watching are dropped.
+    for (const id in playerInputs) {
+      playerInputs[id].kick = false;
+      playerInputs[id].ability = false;
+    }
+    if (!paused) worker.postMessage({ type: 'resume' });
+  }
+  // Move the replay on by `dtMs` of real time.
+  function advanceGoalReplay(dtMs) {
+    const angle = GOAL_REPLAY_ANGLES[goalReplay.angle];
+    const frames = goalReplay.frames;
+    goalReplay.tick += dtMs * angle.speed / TICK_MS;
+    if (goalReplay.tick >= frames[frames.length - 1].tick) nextGoalReplayAngle();
+  }
+  // Positions at the replay's current tick, interpolated between the two
+  // buffered snapshots around it, in the shape of a decoded snapshot.
+  function goalReplayFrame() {
+    const frames = goalReplay.frames;
+    while (goalReplay.cursor < frames.length - 2 && frames[goalReplay.cursor + 1].tick <= goalReplay.tick) {
+      goalReplay.cursor++;
+    }
+    const a = frames[goalReplay.cursor];
+    const b = frames[goalReplay.cursor + 1];
+    const t = Math.min(1, Math.max(0, (goalReplay.tick - a.tick) / (b.tick - a.tick)));
+    const lerp = (from, to) => from + (to - from) * t;
+    const view = {
+      ball: { x: lerp(a.ball.x, b.ball.x), y: lerp(a.ball.y, b.ball.y), angle: lerp(a.ball.angle, b.ball.angle) }
+    };
+    roster.forEach(({ id }) => {
+      view[id] = { x: lerp(a.players[id].x, b.players[id].x), y: lerp(a.players[id].y, b.players[id].y) };
+    });
+    return view;
+  }
+
   // Keyboard listeners
   window.addEventListener('keydown', onKeyDown);
   window.addEventListener('keyup', onKeyUp);
   function onKeyDown(e) {
+    // Pause controls. Escape toggles the pause menu; while paused, '.'
+    // advances the simulation by a single tick. '[' and ']' change the
+    // time scale.
     switch (e.code) {
-      case 'ArrowLeft':
-      case 'KeyA':
-        playerInput.left = true;
-        break;
-      case 'ArrowRight':
-      case 'KeyD':
-        playerInput.right = true;
-        break;
-      case 'Space':
-      case 'ArrowUp':
-      case 'KeyW':
-        playerInput.jump = true;
-        break;
-      case 'KeyQ':
-        qualityIndex = (qualityIndex + 1) % qualityLevels.length;
-        applyQuality();
-        break;
-      case 'KeyK':
-        // Player 1 super‑jump (if off cooldown). The physics worker will
-        // perform a stronger jump when it receives a 'super' message.
-        if (superCooldown1 <= 0 && !isReplay && worker) {
-          playerInput.super = true;
-          superCooldown1 = 5000; // 5 s cooldown
-          worker.postMessage({ type: 'super', id: 1 });
-        }
-        break;
+      case 'Escape':
+        if (paused) resumeMatch(); else pauseMatch();
+        return;
+      case 'Period':
+        if (paused && worker) worker.postMessage({ type: 'step', ticks: 1 });
+        return;
+      case 'Enter':
+        if (goalReplay && !paused) endGoalReplay();
+        return;
+      case 'BracketLeft':
+      case 'BracketRight': {
+        const idx = timeScales.indexOf(timeScale) + (e.code === 'BracketLeft' ? -1 : 1);
+        setTimeScale(timeScales[Math.min(Math.max(idx, 0), timeScales.length - 1)]);
+        return;
+      }
+    }
+    if (paused) return;
+    if (PARTNER_COMMAND_KEYS[e.code] && partners.length > 0) {
+      commandPartners(PARTNER_COMMAND_KEYS[e.code]);
+      return;
+    }
+    if (e.code === 'KeyQ') {
+      qualityIndex = (qualityIndex + 1) % qualityLevels.length;
+      applyQuality();
+      return;
+    }
+    if (e.code === 'Backquote' && adaptive) {
+      adaptiveHud.visible = !adaptiveHud.visible;
+      return;
+    }
+    // Movement, jump, kick and special move (see KEY_BINDINGS). A kick may
+    // be a header; the worker decides the kind of kick and only connects
+    // if the ball is within reach. The special move flag is sent with the
+    // next input; the physics worker checks the charge and cooldown and
+    // fires the move at that input's tick.
+    const binding = keyBindings[e.code];
+    if (binding && !isReplay && worker) {
+      humanInputs[binding.id][binding.action] = true;
     }
   }
   function onKeyUp(e) {
-    switch (e.code) {
-      case 'ArrowLeft':
-      case 'KeyA':
-        playerInput.left = false;
-        break;
-      case 'ArrowRight':
-      case 'KeyD':
-        playerInput.right = false;
-        break;
-      case 'Space':
-      case 'ArrowUp':
-      case 'KeyW':
-        playerInput.jump = false;
-        break;
+    // Only held buttons are released; kick and special move flags are
+    // cleared once they have been sent.
+    const binding = keyBindings[e.code];
+    if (binding && binding.action !== 'kick' && binding.action !== 'ability') {
+      humanInputs[binding.id][binding.action] = false;
     }
   }
-  // Mobile button listeners
-  const btnLeft = document.getElementById('btn-left');
-  const btnRight = document.getElementById('btn-right');
-  const btnJump = document.getElementById('btn-jump');
-  const addMobileListeners = (btn, key) => {
-    btn.addEventListener('pointerdown', (e) => {
-      e.preventDefault();
-      playerInput[key] = true;
-    });
-    btn.addEventListener('pointerup', (e) => {
-      e.preventDefault();
-      playerInput[key] = false;
-    });
-    btn.addEventListener('pointerleave', (e) => {
-      e.preventDefault();
-      playerInput[key] = false;
-    });
-  };
-  addMobileListeners(btnLeft, 'left');
-  addMobileListeners(btnRight, 'right');
-  addMobileListeners(btnJump, 'jump');
+  // Mobile button listeners. Human 1 uses the first pad; with two humans
+  // the overlay is split and human 2 uses the second pad, on the other
+  // side of the screen (see index.html). A spectator gets no pad.
+  const mobileControls = document.getElementById('mobile-controls');
+  const firstPad = document.getElementById('mobile-pad-1');
+  const secondPad = document.getElementById('mobile-pad-2');
+  mobileControls.classList.toggle('split', twoHumans);
+  firstPad.hidden = spectate;
+  secondPad.hidden = !twoHumans;
+  const mobileButtons = [];
+  function bindPad(suffix, input) {
+    const addMobileListeners = (btn, key) => {
+      btn.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        input[key] = true;
+      });
+      btn.addEventListener('pointerup', (e) => {
+        e.preventDefault();
+        input[key] = false;
+      });
+      btn.addEventListener('pointerleave', (e) => {
+        e.preventDefault();
+        input[key] = false;
+      });
+    };
+    // Kicking and the special move are one‑shot actions: the flag is
+    // cleared once it has been sent rather than on pointerup, so a quick
+    // tap is never lost.
+    const addTapListener = (btn, key) => {
+      btn.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        input[key] = true;
+      });
+    };
+    const button = (name) => {
+      const btn = document.getElementById(`btn-${name}${suffix}`);
+      mobileButtons.push(btn);
+      return btn;
+    };
+    addMobileListeners(button('left'), 'left');
+    addMobileListeners(button('right'), 'right');
+    addMobileListeners(button('jump'), 'jump');
+    addTapListener(button('kick'), 'kick');
+    addTapListener(button('ability'), 'ability');
+  }
+  if (!spectate) bindPad('', humanInputs[1]);
+  if (twoHumans) bindPad('-2', humanInputs[2]);
   // Update loop
   function update(delta) {
-    // Decrement timer
-    timeLeftMs -= app.ticker.deltaMS;
-    if (!overtime && timeLeftMs <= 0) {
-      // Main time expired
-      if (scoreLeft === scoreRight) {
-        overtime = true;
-        timeLeftMs = 30 * 1000; // 30 seconds overtime
-      } else {
-        endMatch();
-        return;
+    // Frame time for animations, the AI and the replay recorder: none while
+    // paused or during a goal replay, and scaled by the simulation's time
+    // scale otherwise. The match clock follows the simulated ticks instead
+    // (see clockDt below).
+    const matchDt = paused || goalReplay ? 0 : app.ticker.deltaMS * timeScale;
+    // Pick up the newest snapshot from the shared ring, if one is in use.
+    if (snapshotRing) {
+      const seq = Atomics.load(snapshotRing.header, 0);
+      if (seq !== lastRingSeq) {
+        lastRingSeq = seq;
+        acceptSnapshot(snapshotRing.slots[seq % SNAPSHOT_RING_SLOTS]);
       }
-    } else if (overtime && timeLeftMs <= 0) {
-      // Overtime expired without golden goal -> sudden death ended
+    }
+    // Start the replay of the last goal when it is due, and play it on in
+    // real time.
+    if (goalReplayDueTick !== null && latestState && latestState.tick >= goalReplayDueTick && !paused) {
+      startGoalReplay();
+    }
+    if (goalReplay && !paused) advanceGoalReplay(app.ticker.deltaMS);
+    if (finalGoalTick !== null && latestState && latestState.tick > finalGoalTick && latestState.phase !== 'goal') {
       endMatch();
       return;
     }
-    // Update timer display
-    const totalSeconds = Math.max(0, Math.ceil(timeLeftMs / 1000));
-    const minutes = Math.floor(totalSeconds / 60);
-    const seconds = totalSeconds % 60;
-    timerText.text = `${minutes}:${seconds.toString().padStart(2, '0')}`;
-    // Send player input to worker
-    if (!isReplay && worker) {
-      worker.postMessage({ type: 'input', id: 1, input: playerInput });
-      // Reset super flag so that it is sent only once when triggered
-      if (playerInput.super) {
-        playerInput.super = false;
+    // Decrement timer. It only runs during live play, not during kickoff
+    // countdowns and goal celebrations. When a period expires the next one
+    // starts with the teams switching ends; after the last one a level
+    // match goes to golden‑goal overtime if the rules allow it, and when
+    // that expires too to a penalty shootout if they allow that. Otherwise
+    // it is over.
+    // The clock counts the ticks the worker simulated since the last frame
+    // rather than wall time, so that it stays with the simulation when the
+    // worker drops its backlog, catches up after a pause or is stepped, and
+    // agrees with simulateMatch about when a period ends.
+    const live = latestState && latestState.phase === 'live';
+    const tickNow = latestState ? latestState.tick : null;
+    const clockDt = live && clockTick !== null ? Math.max(0, tickNow - clockTick) * TICK_MS : 0;
+    clockTick = tickNow;
+    const clockEvent = live && !drill ? advanceClock(match, clockDt) : null;
+    if (clockEvent === 'end') {
+      endMatch();
+      return;
+    }
+    if (clockEvent === 'shootout' && worker) {
+      nextPenalty();
+    }
+    if (clockEvent === 'period' && worker) {
+      // The worker answers with the mirrored arena, which the AI reads its
+      // attacking direction from.
+      worker.postMessage({ type: 'switchSides' });
+    }
+    // A drill has the launcher serve each attempt's ball when it is due and
+    // ends once its last attempt is over.
+    if (drill && live) {
+      const ball = advanceDrill(drillRun, clockDt);
+      if (ball) {
+        servePending = true;
+        worker.postMessage({ type: 'serve', ball });
+      }
+      if (drillRun.finished) {
+        endMatch();
+        return;
       }
     }
-    // AI control for player 2 if enabled. Reaction time and aim error are
-    // governed by the selected AI profile. The AI considers a new
-    // decision only when the countdown expires.
-    if (!isReplay && options.ai && latestState) {
-      const dtMs = app.ticker.deltaMS;
-      aiDecisionCountdown -= dtMs;
-      // Reduce super cooldown for the AI
-      superCooldown2 = Math.max(0, superCooldown2 - dtMs);
-      if (aiDecisionCountdown <= 0) {
-        aiDecisionCountdown = aiProfile.reactionTime * 1000;
-        const ball = latestState.ball;
-        const aiBody = latestState[2];
-        if (ball && aiBody) {
-          // Predict ball position half a second into the future
-          const predictionTime = 0.5;
-          const predictedX = ball.x + ball.vx * predictionTime;
-          // Introduce horizontal aim error based on difficulty. Convert
-          // degrees to a fraction of world units (~10 m width). A higher
-          // error means less accuracy.
-          const err = (Math.random() - 0.5) * 2 * (aiProfile.aimError / 90);
-          const targetX = Math.min(Math.max(predictedX + err, 0), WORLD_WIDTH);
-          // Determine horizontal movement
-          if (Math.abs(targetX - aiBody.x) > 0.05) {
-            aiLastInput.left = targetX < aiBody.x;
-            aiLastInput.right = targetX > aiBody.x;
-          } else {
-            aiLastInput.left = false;
-            aiLastInput.right = false;
-          }
-          // Jump when the ball is above the AI and horizontally close
-          aiLastInput.jump = (ball.y > aiBody.y + 0.3 && Math.abs(ball.x - aiBody.x) < 0.5);
-          // Occasionally trigger super‑jump if available and ball is high
-          if (superCooldown2 <= 0 && ball.y > aiBody.y + 1.0 && Math.abs(ball.x - aiBody.x) < 0.6) {
-            aiLastInput.super = true;
-            superCooldown2 = 7000;
-            if (worker) worker.postMessage({ type: 'super', id: 2 });
-          } else {
-            aiLastInput.super = false;
-          }
-        }
+    updateClock();
+    // Send the human players' input to the worker
+    if (!isReplay && worker && !paused && !goalReplay) {
+      for (const id in playerInputs) {
+        const input = playerInputs[id];
+        sendInput(Number(id), input);
+        // Reset one‑shot flags so that they are sent only once when triggered
+        input.ability = false;
+        input.kick = false;
       }
-      // Send AI input (the last computed decision) to the worker
-      if (worker) worker.postMessage({ type: 'input', id: 2, input: aiLastInput });
     }
-    // Update sprite positions based on latest state and camera
+    // AI control for every player without a human. Reaction time and aim
+    // error are governed by the selected AI profile (see updateAI in ai.js),
+    // which the adaptive level retunes during live play; penalties are
+    // taken at the skill the match ended on.
+    if (adaptive && live && !match.shootout) updateAdaptive(matchDt);
+    if (!isReplay && latestState && !paused && !goalReplay && worker) {
+      aiPlayers.forEach(({ id, team, memory }) => {
+        let teamProfile = team === humanTeam ? partnerProfile : aiProfile;
+        if (spectate && team === 'left') teamProfile = spectatorProfile;
+        sendInput(id, updateAI(memory, latestState, id, arena, teamProfile, matchDt, aiRandom));
+      });
+    }
+    // Update sprite positions based on latest state (or the goal replay)
+    // and camera
     if (latestState) {
+      const view = goalReplay ? goalReplayFrame() : latestState;
       const convert = (pos) => {
         return {
           x: pos.x * scale,
-          y: (WORLD_HEIGHT - pos.y) * scale
+          y: (arena.height - pos.y) * scale
         };
       };
-      const ballPosWorld = convert(latestState.ball);
-      const p1PosWorld = convert(latestState[1]);
-      const p2PosWorld = convert(latestState[2]);
+      const ballPosWorld = convert(view.ball);
       // Dead‑zone camera following the ball along X. If the ball moves
       // outside of a 1 m window around the current camera centre, shift
       // the camera towards it. Clamp so the edges of the world stay in view.
-      const focusX = latestState.ball.x;
+      const focusX = view.ball.x;
       const dead = 1.0;
       if (focusX < cameraX - dead) {
         cameraX = focusX + dead;
@@ -1122,17 +2804,28 @@ function startMatch(options) {
       const viewWidthWorld = app.renderer.width / scale;
       const halfView = viewWidthWorld / 2;
       cameraX = Math.max(cameraX, halfView);
-      cameraX = Math.min(cameraX, WORLD_WIDTH - halfView);
+      cameraX = Math.min(cameraX, arena.width - halfView);
       // Apply camera offset to container
-      gameContainer.x = offsetX + ((WORLD_WIDTH / 2 - cameraX) * scale);
+      gameContainer.x = offsetX + ((arena.width / 2 - cameraX) * scale);
       gameContainer.y = offsetY;
+      // A close‑up angle of the goal replay zooms in on the ball instead.
+      const zoom = goalReplay ? GOAL_REPLAY_ANGLES[goalReplay.angle].zoom : 1;
+      if (zoom !== 1) {
+        gameContainer.scale.set(zoom);
+        gameContainer.x = app.renderer.width / 2 - ballPosWorld.x * zoom;
+        gameContainer.y = app.renderer.height / 2 - ballPosWorld.y * zoom;
+      }
       // Set positions of entity containers
       ballEntity.container.x = ballPosWorld.x;
       ballEntity.container.y = ballPosWorld.y;
-      player1Entity.container.x = p1PosWorld.x;
-      player1Entity.container.y = p1PosWorld.y;
-      player2Entity.container.x = p2PosWorld.x;
-      player2Entity.container.y = p2PosWorld.y;
+      // Screen y points down, so a counter‑clockwise physics angle is a
+      // negative PIXI rotation.
+      ballEntity.sprite.rotation = -view.ball.angle;
+      roster.forEach(({ id }) => {
+        const pos = convert(view[id]);
+        playerEntities[id].container.x = pos.x;
+        playerEntities[id].container.y = pos.y;
+      });
     }
 
     // Update particles (simple GPU‑like effect). Apply gravity and fade
@@ -1140,7 +2833,7 @@ function startMatch(options) {
     for (let i = particles.length - 1; i >= 0; i--) {
       const p = particles[i];
       // Integrate velocities (units: metres per second) into pixel space
-      const dt = app.ticker.deltaMS / 1000;
+      const dt = matchDt / 1000;
       p.vy += 9.81 * 0.3 * dt; // mild gravity for confetti
       p.gfx.x += p.vx * scale * dt;
       p.gfx.y += p.vy * scale * dt;
@@ -1152,63 +2845,228 @@ function startMatch(options) {
       }
     }
 
-    // Decrease super cooldown for player 1
-    if (!isReplay) {
-      superCooldown1 = Math.max(0, superCooldown1 - app.ticker.deltaMS);
+    if (latestState && !isReplay && !goalReplay) {
+      updateAbilityMeters();
+      updateBanner(matchDt);
     }
-    // Record replay frame roughly at 10 Hz (every 100 ms) when not in replay mode
-    if (!isReplay && latestState) {
-      recordAccumulator += app.ticker.deltaMS;
+    // Record replay frame roughly at 10 Hz (every 100 ms) when not in replay
+    // mode or a drill
+    if (!isReplay && !drill && latestState) {
+      recordAccumulator += matchDt;
       while (recordAccumulator >= 100) {
         recordAccumulator -= 100;
         // Clone minimal state for the frame. We avoid storing velocities to
         // keep replay size small.
+        const players = {};
+        roster.forEach(({ id }) => {
+          players[id] = { x: latestState[id].x, y: latestState[id].y };
+        });
         const frame = {
-          ball: { x: latestState.ball.x, y: latestState.ball.y },
-          p1: { x: latestState[1].x, y: latestState[1].y },
-          p2: { x: latestState[2].x, y: latestState[2].y },
-          scoreLeft,
-          scoreRight,
-          timeLeft: timeLeftMs
+          ball: { x: latestState.ball.x, y: latestState.ball.y, angle: latestState.ball.angle },
+          players,
+          scoreLeft: match.scoreLeft,
+          scoreRight: match.scoreRight,
+          timeLeft: match.timeLeftMs
         };
+        if (match.shootout) {
+          const score = shootoutScore(match);
+          frame.penalties = [score.left, score.right];
+        }
         replayFrames.push(frame);
+        // Frames from the countdown, the goal celebration and the shootout
+        // are left out of the statistics, and the kickoff line‑up is not
+        // distance run.
+        if (latestState.phase === 'live' && !match.shootout) {
+          sampleStats(stats, frame, arena);
+        } else {
+          breakStatsSamples(stats);
+        }
       }
     }
   }
   app.ticker.add(update);
-  // When the match ends, remove listeners and show a result screen
-  function endMatch() {
-    // Clean up worker and listeners
+  // Stop the worker and remove every listener this match installed. Used
+  // when the match ends normally and when it is abandoned from the pause
+  // menu.
+  function cleanupMatch() {
     if (worker) worker.terminate();
     window.removeEventListener('keydown', onKeyDown);
     window.removeEventListener('keyup', onKeyUp);
-    // Remove mobile listeners (they will be recreated in next match)
-    btnLeft.replaceWith(btnLeft.cloneNode(true));
-    btnRight.replaceWith(btnRight.cloneNode(true));
-    btnJump.replaceWith(btnJump.cloneNode(true));
-    // Display result and back to menu after a delay
+    window.removeEventListener('blur', onFocusLost);
+    document.removeEventListener('visibilitychange', onVisibilityChange);
+    hidePauseMenu();
+    // Remove mobile listeners (they will be recreated in next match) and
+    // put the overlay back to a single pad
+    mobileButtons.forEach((btn) => btn.replaceWith(btn.cloneNode(true)));
+    mobileControls.classList.remove('split');
+    firstPad.hidden = false;
+    secondPad.hidden = true;
+  }
+  // Show the result of a finished drill with the points of every attempt,
+  // and keep it if it is a personal best
+  function endDrill() {
+    const previousBest = drillBests[drill.id];
+    const lines = [`Попытки: ${drillRun.results.join(' · ')}`];
+    if (recordDrillScore(drillBests, drill.id, drillRun.score)) {
+      saveDrillBests();
+      lines.push(previousBest === undefined ? 'Первый рекорд!' : `Новый рекорд! Прежний: ${previousBest}`);
+    } else {
+      lines.push(`Рекорд: ${previousBest}`);
+    }
+    showMatchResults({
+      headline: drill.name,
+      score: `Очки: ${drillRun.score}`,
+      lines,
+      rewards: [],
+      players: [],
+      stats: null,
+      next: { label: 'Ещё раз', action: () => startMatch(options) },
+      replay: null
+    });
+  }
+  // When the match ends, remove listeners, record the result and show the
+  // results screen
+  function endMatch() {
+    cleanupMatch();
     clearStage();
-    const result = new PIXI.Text(
-      scoreLeft === scoreRight ? 'Ничья!' : (scoreLeft > scoreRight ? 'Победа синего!' : 'Победа красного!'),
-      { fontFamily: 'Arial', fontSize: 40, fill: 0xffffff, fontWeight: 'bold' }
-    );
-    result.anchor.set(0.5);
-    result.x = app.renderer.width / 2;
-    result.y = app.renderer.height / 2;
-    app.stage.addChild(result);
+    if (drill) {
+      endDrill();
+      return;
+    }
+    // In hot‑seat mode the winner is named; against the AI the sides are
+    // named by colour.
+    const winner = matchWinner(match);
+    const early = match.endReason === 'mercy' ? ' (досрочно)' : '';
+    const teamName = (team) => names[team === 'left' ? 0 : 1];
+    let headline;
+    if (winner === null) {
+      headline = 'Ничья!';
+    } else if (hotSeat) {
+      headline = `Победа: ${teamName(winner)}!`;
+    } else {
+      headline = winner === 'left' ? 'Победа синего!' : 'Победа красного!';
+    }
+    if (winner !== null) headline += early;
+    if (match.endReason === 'shootout') headline += ' (по пенальти)';
+    // Lines under the headline: series standing, cup outcome and XP
+    const lines = [];
+    // In a series, show its standing and announce the next game or the
+    // series winner.
+    if (series && !isReplay) {
+      recordGame(series, match);
+      let outcome = 'Впереди следующая игра';
+      if (series.finished) {
+        const seriesWin = seriesWinner(series);
+        if (seriesWin === null) {
+          outcome = 'Серия завершилась вничью';
+        } else if (hotSeat) {
+          outcome = `${teamName(seriesWin)} выигрывает серию!`;
+        } else {
+          outcome = seriesWin === 'left' ? 'Синий выиграл серию!' : 'Красный выиграл серию!';
+        }
+      }
+      lines.push(`Серия: победы ${series.winsLeft}:${series.winsRight}, по сумме ${series.goalsLeft}:${series.goalsRight}. ${outcome}`);
+    }
+    // In the cup, record the tie and say what it means for the player.
+    let outcome = null;
+    if (options.cup && !isReplay && cup) {
+      // The player is always the left team in the cup.
+      outcome = recordCupMatch(cup, match.scoreLeft, match.scoreRight, match.shootout ? match.shootout.winner === 'left' : undefined);
+      saveCup();
+      if (outcome === 'replay') {
+        lines.push('Ничья — матч будет переигран');
+      } else if (outcome === 'advanced') {
+        lines.push(`Следующий раунд: ${CUP_ROUNDS[cup.round]}`);
+      } else if (outcome === 'eliminated') {
+        lines.push(`Вы выбыли из кубка. Его выиграли: ${entrantName(cup.champion, 'Вы')}`);
+      } else if (outcome === 'champion') {
+        lines.push('Кубок ваш!');
+      }
+    }
+    // Matches against the AI earn the profile XP and may unlock items.
+    const rewards = [];
+    if (!hotSeat && !spectate && !isReplay) {
+      // The adaptive AI counts as the level it ended the match on.
+      const change = recordMatchResult(profile, {
+        goalsFor: match.scoreLeft,
+        goalsAgainst: match.scoreRight,
+        aiLevel: adaptive ? adaptiveLevelName(adaptive.skill) : aiLevelName,
+        cupWon: outcome === 'champion'
+      });
+      saveProfile();
+      rewards.push(`+${change.xp} XP · уровень ${change.level}${change.levelUp ? ' — новый уровень!' : ''}`);
+      change.achievements.forEach((id) => rewards.push(`Достижение: ${ACHIEVEMENTS[id].label}`));
+      if (change.unlocks.length > 0) {
+        rewards.push(`Открыто: ${change.unlocks.map(itemLabel).join(', ')}`);
+      }
+    }
+    // The next match against the adaptive AI starts from where this one
+    // left it.
+    if (adaptive) {
+      finishAdaptive(adaptiveRecord, adaptive, adaptiveGoalDiff());
+      saveAdaptiveRecord();
+      const next = startAdaptive(adaptiveRecord).skill;
+      lines.push(`Adaptive AI: следующий матч начнётся с уровня ${adaptiveLevelName(next)} (${next.toFixed(2)})`);
+    }
+    const matchStats = summarizeStats(stats);
+    // The shootout score follows the match score, e.g. "1:1 (пен. 4:3)".
+    function penaltiesNote(separator) {
+      if (!match.shootout) return '';
+      const score = shootoutScore(match);
+      return ` (пен. ${score.left}${separator}${score.right})`;
+    }
     // Persist replay for this match (only for genuine matches, not during
-    // replay playback). We store the final score and a copy of the frames.
+    // replay playback). We store the final score, the statistics and a copy
+    // of the frames.
+    let record = null;
     if (!isReplay) {
-      const record = {
+      record = {
         timestamp: Date.now(),
-        aiLevel: aiLevelName,
-        finalScore: `${scoreLeft}:${scoreRight}`,
+        aiLevel: hotSeat ? null : aiLevelName,
+        aiLevelLeft: spectate ? options.aiLevelLeft : null,
+        aiSeed,
+        playerNames: twoHumans ? names : null,
+        roster: roster.map((p) => ({ ...p, avatar: avatars[p.id] })),
+        arena,
+        rules: match.rules,
+        series: series ? {
+          game: series.games.length,
+          bestOf: series.bestOf,
+          winsLeft: series.winsLeft,
+          winsRight: series.winsRight,
+          goalsLeft: series.goalsLeft,
+          goalsRight: series.goalsRight
+        } : null,
+        cup: options.cup || null,
+        finalScore: `${match.scoreLeft}:${match.scoreRight}${penaltiesNote(':')}`,
+        goals: goalLog,
+        shootout: match.shootout,
+        stats: matchStats,
         frames: replayFrames
       };
       replays.push(record);
       saveReplays();
     }
-    setTimeout(showMenu, 3000);
+    // The first button continues a series or the cup; otherwise it is a
+    // rematch with the same options (a finished series starts over).
+    let next;
+    if (series && !series.finished) {
+      next = { label: 'Следующая игра', action: () => startMatch({ ...options, series }) };
+    } else if (options.cup && !isReplay) {
+      next = { label: 'К кубку', action: () => { showMenu(); showCupScreen(); } };
+    } else {
+      next = { label: 'Реванш', action: () => startMatch({ ...options, series: undefined }) };
+    }
+    showMatchResults({
+      headline,
+      score: `${match.scoreLeft} : ${match.scoreRight}${penaltiesNote(' : ')}`,
+      lines,
+      rewards,
+      players: roster.map((p) => ({ id: p.id, team: p.team, name: playerLabel(p) })),
+      stats: matchStats,
+      next,
+      replay: record
+    });
   }
 }
 
@@ -0,0 +1,1015 @@
+/*
+ * Box2D model of an Arcade Football match, shared by the physics worker
+ * (physicsWorker.js) and the headless simulator (simulate.js). It builds a
+ * world with a ball and one player per entry of arena.spawns.players
+ * (1v1, 2v2, see teams.js), steps it in fixed 120 Hz ticks and applies
+ * inputs that are tagged with the tick they belong to, so the simulation
+ * depends only on the input stream. Players can kick or head
+ * the ball when it is within reach. Each end of the pitch has a goal mouth
+ * with a crossbar, a net and a sensor behind the goal line; a goal is
+ * reported once the whole ball has crossed into the net. A contact
+ * listener turns Box2D contacts into typed events (ball touches, bounces,
+ * player collisions) that are reported once per tick.
+ *
+ * Play is only live part of the time. The match runs through phases:
+ *   countdown – before every kickoff the players wait at their kickoff
+ *     positions for arena.kickoff.countdownTicks
+ *   live – normal play
+ *   goal – after a goal the world freezes with the ball in the net for
+ *     arena.kickoff.celebrationTicks, then the team that conceded kicks off
+ * A penalty shootout (see startPenalty) replaces kickoffs with penalties:
+ * each one is lined up with a countdown and, once the ball is in the net or
+ * the kick is over, frozen in the goal phase until the next is lined up.
+ * Outside live play the world is not stepped and inputs have no effect:
+ * held buttons are tracked so they apply once play resumes, but kicks and
+ * special moves requested meanwhile are dropped.
+ *
+ * Nothing here knows about timers, threads or the DOM: the caller decides
+ * when to step and receives events and goals through a callback.
+ */
+
+import { SNAPSHOT_FLAG_RESET, SNAPSHOT_LAYOUT, SNAPSHOT_MAX_PLAYERS, SNAPSHOT_PHASES } from './snapshot.js';
+import { ABILITIES, CHARGE_MAX, CHARGE_PER_SECOND, CHARGE_PER_TOUCH, CHARGE_START } from './abilities.js';
+
+// Default arena. All lengths are in metres, speeds in metres/second and
+// gravity in metres/second^2. Gravity is negative because Box2D uses a
+// coordinate system where positive y is up; in our game, positive y is
+// downwards on screen.
+//   goal.height / goal.depth – the mouth is open from the ground up to the
+//     crossbar at `height`; the goal line sits `depth` metres in from each
+//     side wall, so the net occupies the strip between wall and line.
+//   ball.angularDamping – how quickly spin decays on its own
+//   ball.magnus – Magnus lift: acceleration in m/s^2 per rad/s of spin and
+//     m/s of speed, applied at right angles to the ball's flight
+//   player.speed – horizontal running speed
+//   player.jumpSpeed / superJumpSpeed – vertical take‑off velocity
+//   kickoff.countdownTicks / celebrationTicks – length of the countdown
+//     before each kickoff and of the freeze after a goal
+//   kickoff.advance – how much closer to the ball (in metres) the players
+//     of the side kicking off start
+//   abilities – special move of each player by id (see abilities.js)
+//   spawns – kickoff positions of the ball and of each player by id
+//   shootout – penalty layout at the right goal: the ball is dropped from
+//     `dropHeight` metres over the spot `spot` metres out from the goal
+//     line, the shooter stands `shooterOffset` behind it and the keeper
+//     `keeperDepth` in front of the line. A kick is over after `kickTicks`
+//     or once the ball is back `clearance` metres behind the spot, and
+//     each penalty is followed by `pauseTicks` of freeze and preceded by a
+//     `countdownTicks` countdown
+export const DEFAULT_ARENA = {
+  width: 10,
+  height: 5,
+  gravity: -9.81,
+  goal: {
+    height: 1.6,
+    depth: 0.7,
+    crossbarRadius: 0.06,
+    // Nets swallow most of the ball's energy; the crossbar is stiff metal.
+    netRestitution: 0.15,
+    netFriction: 0.8,
+    crossbarRestitution: 0.6
+  },
+  ball: {
+    radius: 0.11,
+    density: 0.5,
+    restitution: 0.82,
+    // Enough grip that off‑centre touches and the ground set the ball
+    // spinning.
+    friction: 0.3,
+    angularDamping: 0.4,
+    magnus: 0.03
+  },
+  player: {
+    radius: 0.3,
+    density: 1.0,
+    friction: 0.2,
+    restitution: 0.1,
+    speed: 4,
+    jumpSpeed: 6.2,
+    superJumpSpeed: 12.0
+  },
+  kickoff: {
+    countdownTicks: 360,
+    celebrationTicks: 240,
+    advance: 1.0
+  },
+  shootout: {
+    spot: 2.5,
+    dropHeight: 0.8,
+    shooterOffset: 0.45,
+    keeperDepth: 0.4,
+    clearance: 1.0,
+    kickTicks: 480,
+    pauseTicks: 180,
+    countdownTicks: 120
+  },
+  abilities: {
+    1: 'superJump',
+    2: 'superJump'
+  },
+  spawns: {
+    ball: { x: 5, y: 4 },
+    players: {
+      1: { x: 2, y: 1 },
+      2: { x: 8, y: 1 }
+    }
+  }
+};
+// Top surface of the ground box. A player resting on the ground has its
+// centre player.radius above this.
+export const GROUND_TOP = 0.1;
+// Fixed simulation step. Every call to step() advances the world by
+// exactly one tick of TICK_SECONDS.
+export const TICK_RATE = 120;
+export const TICK_SECONDS = 1 / TICK_RATE;
+export const TICK_MS = 1000 / TICK_RATE;
+
+// Kicking. A kick reaches the ball when the gap between the player's body
+// and the ball is at most KICK_REACH. After kicking, a player must wait
+// KICK_COOLDOWN_TICKS before the next kick connects.
+const KICK_REACH = 0.25;
+const KICK_COOLDOWN_TICKS = 30;
+// Spin in rad/s given by a kick, scaled by how far the ball sits off the
+// line of the kick (the sine of the angle between the kick direction and
+// the line from the player's centre to the ball). Striking below the
+// centre gives backspin (the ball floats), above it topspin (the ball
+// dips).
+const KICK_SPIN = 20;
+// Kick types. `speed` is the ball speed along the kick direction in m/s,
+// `angle` the elevation above horizontal in degrees and `carry` the
+// fraction of the player's own velocity added to the ball.
+//   ground – standing or running kick along the floor
+//   volley – airborne player striking the ball at or below body height
+//   header – ball above the player's centre
+const KICKS = {
+  ground: { speed: 7.0, angle: 25, carry: 0.5 },
+  volley: { speed: 8.5, angle: 8, carry: 0.3 },
+  header: { speed: 5.5, angle: 35, carry: 0.6 }
+};
+
+// Recursively merge `overrides` into a copy of `defaults`. Plain objects are
+// merged key by key; any other value replaces the default, except null,
+// which removes the key (e.g. { spawns: { players: { 2: null } } } leaves
+// player 2 out of the match).
+export function mergeConfig(defaults, overrides) {
+  const out = {};
+  for (const key in defaults) {
+    out[key] = defaults[key];
+  }
+  for (const key in overrides || {}) {
+    const d = defaults[key];
+    const o = overrides[key];
+    const isObj = (v) => v && typeof v === 'object' && !Array.isArray(v);
+    if (o === null) {
+      delete out[key];
+    } else {
+      out[key] = isObj(d) && isObj(o) ? mergeConfig(d, o) : o;
+    }
+  }
+  return out;
+}
+
+// Build the world described by `arena` (a config resolved with
+// mergeConfig) using the initialised Box2D `Module`. `post` receives the
+// { type: 'events' }, { type: 'goal' } and other messages described in
+// physicsWorker.js. Returns the handle used to drive the simulation.
+export function createPhysics(Module, arena, post) {
+  let world;
+  let contactListener;
+  // Dynamic bodies: `ball` and one per player id.
+  const bodies = {};
+  // Goal sensor fixtures keyed by their Box2D pointer. The value is the side
+  // that is credited with a goal when the ball touches that sensor.
+  const goalSensors = new Map();
+  // Surface names for static fixtures, keyed by Box2D pointer. Reported in
+  // ballBounce events: 'ground', 'wall', 'net' or 'crossbar'.
+  const surfaces = new Map();
+  // Body key ('ball' or player id) for each dynamic body, keyed by pointer.
+  const bodyKeys = new Map();
+
+  // Contact events for the tick being simulated. They are collected by the
+  // contact listener and by kick() and posted together after the step as
+  // { type: 'events', tick, events }. Event shapes:
+  //   { type: 'ballTouch', playerId, impulse, kick?, powerShot?, ball? } – a
+  //     player touched the ball; `kick` names the kick type when the touch
+  //     was a kick, `powerShot` is set when an armed power shot was used and
+  //     `ball` gives a kicked ball's position and launch velocity { x, y,
+  //     vx, vy }
+  //   { type: 'ballBounce', surface, impulse } – the ball hit a static surface
+  //   { type: 'playerCollision', a, b, impulse } – two players collided
+  //   { type: 'ability', playerId, ability } – a player used their move
+  // `impulse` is the total normal impulse of the contact in N·s.
+  let tickEvents = [];
+  // Contacts that began during the current step, keyed by contact pointer,
+  // waiting for PostSolve to report their impulse.
+  const startedContacts = new Map();
+  // Player who last touched the ball, reported with goals. Cleared at kickoff.
+  let lastTouch = null;
+  // Number of ticks simulated so far. A state snapshot with tick T reflects
+  // the world after T steps.
+  let tick = 0;
+  // Set when positions are reset to kickoff; reported in the next snapshot.
+  let resetSinceSnapshot = false;
+  // Current match phase ('countdown', 'live' or 'goal'), the tick it ends
+  // on and the side ('left' or 'right') whose players kick off next.
+  let phase = 'live';
+  let phaseEndTick = 0;
+  let kickoffSide = 'left';
+  // The penalty lined up last in a shootout, { shooter, keeper, endTick }
+  // (player ids and the tick the kick is over at), or null before the
+  // shootout
+  let penalty = null;
+  // Whether the teams are at the opposite ends to the ones they started at
+  // (see switchSides), and the spawn points they started with
+  let sidesSwitched = false;
+  const startSpawns = arena.spawns;
+  // Inputs waiting for their tick, sorted by tick. Each entry is
+  // { tick, id, input }.
+  const pendingInputs = [];
+  // The input currently held by each player. Movement and jump buttons stay
+  // held until a newer input for that player is applied.
+  const heldInputs = {};
+
+  // Direction each player last moved in (+1 right, -1 left). Kicks are aimed
+  // this way. Players start facing the opponent's goal.
+  const facing = {};
+  // Tick at which each player may kick again.
+  const kickReadyTick = {};
+  // Special move state of each player: { name, charge, readyTick,
+  // activeUntil }. `charge` is the meter (0 to CHARGE_MAX), `readyTick` the
+  // tick from which the move may be used again and `activeUntil` the tick
+  // up to which its effect lasts.
+  const abilities = {};
+
+  // Write the current state into `array` using SNAPSHOT_LAYOUT (see
+  // snapshot.js). `flags` are OR-ed into the FLAGS slot together with
+  // SNAPSHOT_FLAG_RESET when positions were reset since the last snapshot.
+  function writeSnapshot(array, flags = 0) {
+    const L = SNAPSHOT_LAYOUT;
+    array[L.TICK] = tick;
+    array[L.FLAGS] = flags | (resetSinceSnapshot ? SNAPSHOT_FLAG_RESET : 0);
+    array[L.PHASE] = SNAPSHOT_PHASES.indexOf(phase);
+    array[L.PHASE_TIME] = phase === 'live' ? 0 : (phaseEndTick - tick) * TICK_SECONDS;
+    const ball = bodies.ball;
+    const bp = ball.GetPosition();
+    const bv = ball.GetLinearVelocity();
+    array[L.BALL] = bp.get_x();
+    array[L.BALL + 1] = bp.get_y();
+    array[L.BALL + 2] = bv.get_x();
+    array[L.BALL + 3] = bv.get_y();
+    array[L.BALL + 4] = ball.GetAngle();
+    array[L.BALL + 5] = ball.GetAngularVelocity();
+    let count = 0;
+    for (const id in arena.spawns.players) {
+      if (count === SNAPSHOT_MAX_PLAYERS) break;
+      const body = bodies[id];
+      const pos = body.GetPosition();
+      const vel = body.GetLinearVelocity();
+      const off = L.PLAYERS + count * L.PLAYER_STRIDE;
+      array[off] = Number(id);
+      array[off + 1] = pos.get_x();
+      array[off + 2] = pos.get_y();
+      array[off + 3] = vel.get_x();
+      array[off + 4] = vel.get_y();
+      array[off + 5] = abilities[id].charge;
+      array[off + 6] = Math.max(0, abilities[id].readyTick - tick) * TICK_SECONDS;
+      count++;
+    }
+    array[L.PLAYER_COUNT] = count;
+    resetSinceSnapshot = false;
+  }
+
+  function setupWorld() {
+    const gravityVec = new Module.b2Vec2(0, arena.gravity);
+    world = new Module.b2World(gravityVec);
+    contactListener = createContactListener();
+    world.SetContactListener(contactListener);
+
+    // Ground – static body spanning the entire width at y=0.
+    let bd = new Module.b2BodyDef();
+    bd.set_type(Module.b2_staticBody);
+    bd.set_position(new Module.b2Vec2(arena.width / 2, 0));
+    const ground = world.CreateBody(bd);
+    let shape = new Module.b2PolygonShape();
+    shape.SetAsBox(arena.width / 2, GROUND_TOP);
+    surfaces.set(Module.getPointer(ground.CreateFixture(shape, 0)), 'ground');
+
+    // Side walls above each goal. Below the crossbar the wall is replaced
+    // by the back of the net (see createGoal).
+    const goal = arena.goal;
+    const leftWall = createStaticBox(0, (goal.height + arena.height) / 2, 0.1, (arena.height - goal.height) / 2);
+    const rightWall = createStaticBox(arena.width, (goal.height + arena.height) / 2, 0.1, (arena.height - goal.height) / 2);
+    surfaces.set(Module.getPointer(leftWall), 'wall');
+    surfaces.set(Module.getPointer(rightWall), 'wall');
+    // Ceiling along the top of the arena, so that lofted balls and
+    // super‑jumps cannot leave the world over the walls.
+    const ceiling = createStaticBox(arena.width / 2, arena.height + 0.1, arena.width / 2, 0.1);
+    surfaces.set(Module.getPointer(ceiling), 'wall');
+
+    // Goals. A ball entering the left goal is a goal for the right side and
+    // vice versa.
+    createGoal(-1, 'right');
+    createGoal(1, 'left');
+
+    // Create dynamic bodies and line them up for the opening kickoff,
+    // which goes to the left side
+    createBall();
+    for (const id in arena.spawns.players) {
+      createPlayer(id);
+    }
+    startKickoff('left');
+  }
+
+  // Create a static box centred at (x, y) with the given half extents and
+  // return its fixture so callers can adjust material properties.
+  function createStaticBox(x, y, halfWidth, halfHeight) {
+    const bd = new Module.b2BodyDef();
+    bd.set_type(Module.b2_staticBody);
+    bd.set_position(new Module.b2Vec2(x, y));
+    const body = world.CreateBody(bd);
+    const shape = new Module.b2PolygonShape();
+    shape.SetAsBox(halfWidth, halfHeight);
+    return body.CreateFixture(shape, 0);
+  }
+
+  // Build one goal. `dir` is -1 for the goal at the left wall and +1 for the
+  // goal at the right wall; `scorer` is the side credited when the ball goes
+  // in. The goal consists of a back net along the wall, a roof net, a round
+  // crossbar at the front of the roof, and a sensor filling the inside of the
+  // goal.
+  function createGoal(dir, scorer) {
+    const goal = arena.goal;
+    const wallX = dir < 0 ? 0 : arena.width;
+    const lineX = wallX - dir * goal.depth;
+    // Back net
+    const back = createStaticBox(wallX, goal.height / 2, 0.1, goal.height / 2);
+    back.SetRestitution(goal.netRestitution);
+    back.SetFriction(goal.netFriction);
+    // Roof net, running from the wall to the crossbar
+    const roof = createStaticBox((wallX + lineX) / 2, goal.height, goal.depth / 2, 0.03);
+    roof.SetRestitution(goal.netRestitution);
+    roof.SetFriction(goal.netFriction);
+    surfaces.set(Module.getPointer(back), 'net');
+    surfaces.set(Module.getPointer(roof), 'net');
+    // Crossbar. A circle gives natural deflections off the bar.
+    const bd = new Module.b2BodyDef();
+    bd.set_type(Module.b2_staticBody);
+    bd.set_position(new Module.b2Vec2(lineX, goal.height));
+    const bar = world.CreateBody(bd);
+    const circle = new Module.b2CircleShape();
+    circle.set_m_radius(goal.crossbarRadius);
+    const barDef = new Module.b2FixtureDef();
+    barDef.set_shape(circle);
+    barDef.set_restitution(goal.crossbarRestitution);
+    surfaces.set(Module.getPointer(bar.CreateFixture(barDef)), 'crossbar');
+    // Goal sensor. Its front edge is set back one ball diameter behind the
+    // goal line, so the ball can only overlap it once the whole ball has
+    // crossed the line.
+    const sensorFront = lineX + dir * arena.ball.radius * 2;
+    const sensorBd = new Module.b2BodyDef();
+    sensorBd.set_type(Module.b2_staticBody);
+    sensorBd.set_position(new Module.b2Vec2((wallX + sensorFront) / 2, goal.height / 2));
+    const sensorBody = world.CreateBody(sensorBd);
+    const box = new Module.b2PolygonShape();
+    box.SetAsBox(Math.abs(sensorFront - wallX) / 2, goal.height / 2);
+    const sensorDef = new Module.b2FixtureDef();
+    sensorDef.set_shape(box);
+    sensorDef.set_isSensor(true);
+    const sensor = sensorBody.CreateFixture(sensorDef);
+    goalSensors.set(Module.getPointer(sensor), scorer);
+  }
+
+  // Return the side credited with a goal if the ball currently overlaps one
+  // of the goal sensors, otherwise null.
+  function detectGoal() {
+    for (let edge = bodies.ball.GetContactList(); Module.getPointer(edge) !== 0; edge = edge.get_next()) {
+      const contact = edge.get_contact();
+      if (!contact.IsTouching()) continue;
+      const a = goalSensors.get(Module.getPointer(contact.GetFixtureA()));
+      const b = goalSensors.get(Module.getPointer(contact.GetFixtureB()));
+      if (a || b) return a || b;
+    }
+    return null;
+  }
+
+  // Build the Box2D contact listener. BeginContact classifies each new
+  // non‑sensor contact; PostSolve, which runs later in the same step, adds
+  // the contact's impulse and files the event for this tick.
+  function createContactListener() {
+    const listener = new Module.JSContactListener();
+    listener.BeginContact = (contactPtr) => {
+      const contact = Module.wrapPointer(contactPtr, Module.b2Contact);
+      const event = classifyContact(contact.GetFixtureA(), contact.GetFixtureB());
+      if (event) startedContacts.set(contactPtr, event);
+    };
+    listener.EndContact = () => {};
+    listener.PreSolve = () => {};
+    listener.PostSolve = (contactPtr, impulsePtr) => {
+      const event = startedContacts.get(contactPtr);
+      if (!event) return;
+      startedContacts.delete(contactPtr);
+      const impulse = Module.wrapPointer(impulsePtr, Module.b2ContactImpulse);
+      let total = 0;
+      for (let i = 0; i < impulse.get_count(); i++) {
+        total += impulse.get_normalImpulses(i);
+      }
+      event.impulse = total;
+      recordEvent(event);
+    };
+    return listener;
+  }
+
+  // Describe a contact between two fixtures as an event, or return null if
+  // it is not one we report (sensors, players on static geometry).
+  function classifyContact(fa, fb) {
+    if (fa.IsSensor() || fb.IsSensor()) return null;
+    const keyA = bodyKeys.get(Module.getPointer(fa.GetBody()));
+    const keyB = bodyKeys.get(Module.getPointer(fb.GetBody()));
+    if (keyA === 'ball' || keyB === 'ball') {
+      const other = keyA === 'ball' ? keyB : keyA;
+      const otherFixture = keyA === 'ball' ? fb : fa;
+      if (other !== undefined) {
+        return { type: 'ballTouch', playerId: Number(other), impulse: 0 };
+      }
+      const surface = surfaces.get(Module.getPointer(otherFixture)) || 'wall';
+      return { type: 'ballBounce', surface, impulse: 0 };
+    }
+    if (keyA !== undefined && keyB !== undefined) {
+      return { type: 'playerCollision', a: Number(keyA), b: Number(keyB), impulse: 0 };
+    }
+    return null;
+  }
+
+  // Add an event to this tick's batch and keep track of the last touch.
+  // Touching the ball also tops up the player's ability charge.
+  function recordEvent(event) {
+    if (event.type === 'ballTouch') {
+      lastTouch = event.playerId;
+      const ability = abilities[event.playerId];
+      ability.charge = Math.min(CHARGE_MAX, ability.charge + CHARGE_PER_TOUCH);
+    }
+    tickEvents.push(event);
+  }
+
+  // Dynamic bodies are created at the origin; resetPositions() moves them to
+  // their spawn points.
+  function createBall() {
+    const cfg = arena.ball;
+    const bodyDef = new Module.b2BodyDef();
+    bodyDef.set_type(Module.b2_dynamicBody);
+    bodyDef.set_bullet(true);
+    bodyDef.set_angularDamping(cfg.angularDamping);
+    const body = world.CreateBody(bodyDef);
+    const circle = new Module.b2CircleShape();
+    circle.set_m_radius(cfg.radius);
+    const fixtureDef = new Module.b2FixtureDef();
+    fixtureDef.set_shape(circle);
+    fixtureDef.set_density(cfg.density);
+    fixtureDef.set_restitution(cfg.restitution);
+    fixtureDef.set_friction(cfg.friction);
+    body.CreateFixture(fixtureDef);
+    bodies.ball = body;
+    bodyKeys.set(Module.getPointer(body), 'ball');
+  }
+
+  function createPlayer(id) {
+    const cfg = arena.player;
+    const bodyDef = new Module.b2BodyDef();
+    bodyDef.set_type(Module.b2_dynamicBody);
+    bodyDef.set_fixedRotation(true);
+    const body = world.CreateBody(bodyDef);
+    const circle = new Module.b2CircleShape();
+    circle.set_m_radius(cfg.radius);
+    const fixtureDef = new Module.b2FixtureDef();
+    fixtureDef.set_shape(circle);
+    fixtureDef.set_density(cfg.density);
+    fixtureDef.set_friction(cfg.friction);
+    fixtureDef.set_restitution(cfg.restitution);
+    body.CreateFixture(fixtureDef);
+    bodies[id] = body;
+    bodyKeys.set(Module.getPointer(body), id);
+    abilities[id] = { name: arena.abilities[id], charge: CHARGE_START, readyTick: 0, activeUntil: 0 };
+  }
+
+  // Move the ball and every player to their spawn points and stop them.
+  // Players face the centre of the pitch; those on `side` (default: the
+  // side kicking off next) start arena.kickoff.advance closer to it.
+  function resetPositions(side = kickoffSide) {
+    const spawns = arena.spawns;
+    lastTouch = null;
+    resetSinceSnapshot = true;
+    const ball = bodies.ball;
+    ball.SetTransform(new Module.b2Vec2(spawns.ball.x, spawns.ball.y), 0);
+    ball.SetLinearVelocity(new Module.b2Vec2(0, 0));
+    ball.SetAngularVelocity(0);
+    for (const id in spawns.players) {
+      const spawn = spawns.players[id];
+      const body = bodies[id];
+      const dir = spawn.x < arena.width / 2 ? 1 : -1;
+      const advance = (dir === 1) === (side === 'left') ? arena.kickoff.advance : 0;
+      body.SetTransform(new Module.b2Vec2(spawn.x + dir * advance, spawn.y), 0);
+      body.SetLinearVelocity(new Module.b2Vec2(0, 0));
+      facing[id] = dir;
+    }
+  }
+
+  // Line everybody up at their spawn points and launch the ball from
+  // (ball.x, ball.y) with velocity (ball.vx, ball.vy) and `ball.spin` in
+  // rad/s, as the ball launcher of the training drills does (see
+  // training.js). Play goes on in the current phase.
+  function serve(ball) {
+    resetPositions();
+    const body = bodies.ball;
+    body.SetTransform(new Module.b2Vec2(ball.x, ball.y), 0);
+    body.SetLinearVelocity(new Module.b2Vec2(ball.vx || 0, ball.vy || 0));
+    body.SetAngularVelocity(ball.spin || 0);
+    body.SetAwake(true);
+  }
+
+  // Enter `name` for `ticks` ticks. A phase of no ticks is skipped straight
+  // to live play.
+  function enterPhase(name, ticks) {
+    phase = ticks > 0 ? name : 'live';
+    phaseEndTick = tick + ticks;
+  }
+
+  // Line up for a kickoff by `side` and start the countdown.
+  function startKickoff(side) {
+    kickoffSide = side;
+    resetPositions(side);
+    enterPhase('countdown', arena.kickoff.countdownTicks);
+  }
+
+  // Called on the last tick of a countdown or goal phase.
+  function endPhase() {
+    if (phase === 'goal' && penalty) {
+      lineUpPenalty();
+    } else if (phase === 'goal') {
+      startKickoff(kickoffSide);
+    } else {
+      phase = 'live';
+      if (penalty) penalty.endTick = tick + arena.shootout.kickTicks;
+    }
+  }
+
+  // Set up the next penalty of a shootout, taken by player `shooter` and
+  // saved by player `keeper`. Every penalty is taken at the right goal. If
+  // the previous penalty is still frozen, the new one is lined up once the
+  // freeze is over.
+  function startPenalty(shooter, keeper) {
+    penalty = { shooter: String(shooter), keeper: String(keeper), endTick: 0 };
+    if (phase !== 'goal') lineUpPenalty();
+  }
+
+  // Put the shooter, the keeper and the ball in their places (see
+  // arena.shootout) and start the countdown. Everybody else waits at the
+  // other end of the pitch and cannot move.
+  function lineUpPenalty() {
+    const s = arena.shootout;
+    const spotX = arena.width - arena.goal.depth - s.spot;
+    const groundY = GROUND_TOP + arena.player.radius;
+    lastTouch = null;
+    resetSinceSnapshot = true;
+    const ball = bodies.ball;
+    ball.SetTransform(new Module.b2Vec2(spotX, GROUND_TOP + arena.ball.radius + s.dropHeight), 0);
+    ball.SetLinearVelocity(new Module.b2Vec2(0, 0));
+    ball.SetAngularVelocity(0);
+    let benchX = arena.goal.depth + 0.5;
+    for (const id in arena.spawns.players) {
+      let x;
+      if (id === penalty.shooter) {
+        x = spotX - s.shooterOffset;
+      } else if (id === penalty.keeper) {
+        x = arena.width - arena.goal.depth - s.keeperDepth;
+      } else {
+        x = benchX;
+        benchX += 0.7;
+      }
+      bodies[id].SetTransform(new Module.b2Vec2(x, groundY), 0);
+      bodies[id].SetLinearVelocity(new Module.b2Vec2(0, 0));
+      facing[id] = id === penalty.keeper ? -1 : 1;
+    }
+    enterPhase('countdown', s.countdownTicks);
+  }
+
+  // Whether the penalty in play is over without a goal: time is up or the
+  // ball is on its way back out, well behind the spot.
+  function penaltyMissed() {
+    if (tick >= penalty.endTick) return true;
+    const spotX = arena.width - arena.goal.depth - arena.shootout.spot;
+    const ball = bodies.ball;
+    return ball.GetPosition().get_x() < spotX - arena.shootout.clearance && ball.GetLinearVelocity().get_x() < 0;
+  }
+
+  // Swap ends between periods: every player's spawn point is mirrored about
+  // the centre line and the ball and players line up for a kickoff by the
+  // left side, which is now the team that did not kick off before. This
+  // replaces arena.spawns (the spawn objects may be shared with
+  // DEFAULT_ARENA, so they are never modified) and the AI, which reads the
+  // attacking direction from the spawn points, follows automatically.
+  function switchSides() {
+    setSides(!sidesSwitched);
+    startKickoff('left');
+  }
+
+  // Put the teams at their starting ends, or with `switched` at the
+  // opposite ones, by setting arena.spawns.
+  function setSides(switched) {
+    sidesSwitched = switched;
+    if (!switched) {
+      arena.spawns = startSpawns;
+      return;
+    }
+    const players = {};
+    for (const id in startSpawns.players) {
+      const spawn = startSpawns.players[id];
+      players[id] = { ...spawn, x: arena.width - spawn.x };
+    }
+    arena.spawns = { ...startSpawns, players };
+  }
+
+  // Capture everything needed to put the world back exactly as it is now:
+  // the tick, the match phase and which ends the teams play towards, every
+  // dynamic body's transform and velocities, and each player's held input,
+  // facing, kick cooldown and ability state. The result is a plain object
+  // that survives structured cloning and JSON:
+  //   { tick, lastTouch,
+  //     phase: { name, endTick, kickoffSide, penalty, sidesSwitched },
+  //     bodies: { [key]: { x, y, angle, vx, vy, av, awake } },
+  //     players: { [id]: { input, facing, kickReadyTick, ability } } }
+  // `key` is 'ball' or a player id. Box2D's internal contact cache is not
+  // part of the state; it is rebuilt on the first step after loading.
+  function saveState() {
+    const state = {
+      tick,
+      lastTouch,
+      phase: { name: phase, endTick: phaseEndTick, kickoffSide, penalty: penalty && { ...penalty }, sidesSwitched },
+      bodies: {},
+      players: {}
+    };
+    for (const key in bodies) {
+      const body = bodies[key];
+      const pos = body.GetPosition();
+      const vel = body.GetLinearVelocity();
+      state.bodies[key] = {
+        x: pos.get_x(),
+        y: pos.get_y(),
+        angle: body.GetAngle(),
+        vx: vel.get_x(),
+        vy: vel.get_y(),
+        av: body.GetAngularVelocity(),
+        awake: body.IsAwake()
+      };
+    }
+    for (const id in arena.spawns.players) {
+      state.players[id] = {
+        input: heldInputs[id] ? { ...heldInputs[id] } : null,
+        facing: facing[id],
+        kickReadyTick: kickReadyTick[id] || 0,
+        ability: { ...abilities[id] }
+      };
+    }
+    return state;
+  }
+
+  // Restore a state produced by saveState(). Bodies missing from the state
+  // are left where they are. Inputs queued for the old timeline and contacts
+  // in flight are dropped; callers replaying inputs (e.g. rollback) send them
+  // again, tagged with ticks after the restored tick.
+  function loadState(state) {
+    tick = state.tick | 0;
+    lastTouch = state.lastTouch == null ? null : state.lastTouch;
+    if (state.phase) {
+      phase = state.phase.name;
+      phaseEndTick = state.phase.endTick | 0;
+      kickoffSide = state.phase.kickoffSide;
+      penalty = state.phase.penalty ? { ...state.phase.penalty } : null;
+      setSides(!!state.phase.sidesSwitched);
+    }
+    for (const key in state.bodies) {
+      const body = bodies[key];
+      if (!body) continue;
+      const s = state.bodies[key];
+      body.SetTransform(new Module.b2Vec2(s.x, s.y), s.angle || 0);
+      body.SetLinearVelocity(new Module.b2Vec2(s.vx, s.vy));
+      body.SetAngularVelocity(s.av || 0);
+      body.SetAwake(s.awake !== false);
+    }
+    for (const id in state.players || {}) {
+      if (!bodies[id]) continue;
+      const p = state.players[id];
+      if (p.input) {
+        heldInputs[id] = { left: !!p.input.left, right: !!p.input.right, jump: !!p.input.jump };
+      } else {
+        delete heldInputs[id];
+      }
+      if (p.facing) facing[id] = p.facing;
+      kickReadyTick[id] = p.kickReadyTick | 0;
+      if (p.ability) abilities[id] = { ...abilities[id], ...p.ability };
+    }
+    pendingInputs.length = 0;
+    startedContacts.clear();
+    tickEvents = [];
+    // Bodies jumped to the restored positions; renderers should not
+    // interpolate across the load.
+    resetSinceSnapshot = true;
+  }
+
+  // Advance the simulation by one tick: apply the inputs scheduled for the
+  // new tick, drive the players from their held inputs, then step Box2D.
+  // Outside live play only the inputs are taken in and the phase clock
+  // runs.
+  function stepWorld() {
+    tick++;
+    if (phase !== 'live') {
+      applyPendingInputs(tick, false);
+      if (tick >= phaseEndTick) endPhase();
+      return;
+    }
+    applyPendingInputs(tick, true);
+    for (const id in heldInputs) {
+      if (!benched(id)) applyHeldInput(id);
+    }
+    for (const id in abilities) {
+      if (!benched(id)) updateAbility(id);
+    }
+    applyMagnus();
+    world.Step(TICK_SECONDS, 8, 3);
+    // Contacts that never reached PostSolve (e.g. resolved without any
+    // impulse) are still reported.
+    startedContacts.forEach(recordEvent);
+    startedContacts.clear();
+    if (tickEvents.length > 0) {
+      post({ type: 'events', tick, events: tickEvents });
+      tickEvents = [];
+    }
+    // A goal is scored when the ball overlaps a goal sensor. The side that
+    // conceded kicks off once the celebration is over.
+    const goal = detectGoal();
+    if (goal) {
+      const bp = bodies.ball.GetPosition();
+      post({ type: 'goal', tick, scorer: goal, lastTouch, ball: { x: bp.get_x(), y: bp.get_y() } });
+    }
+    if (penalty) {
+      // In a shootout every penalty ends in the freeze of the goal phase,
+      // scored or not, and the next one is lined up after it.
+      if (!goal && !penaltyMissed()) return;
+      if (!goal) post({ type: 'penaltyMissed', tick, lastTouch });
+      enterPhase('goal', arena.shootout.pauseTicks);
+    } else if (goal) {
+      kickoffSide = goal === 'left' ? 'right' : 'left';
+      if (arena.kickoff.celebrationTicks > 0) {
+        enterPhase('goal', arena.kickoff.celebrationTicks);
+      } else {
+        startKickoff(kickoffSide);
+      }
+    }
+  }
+
+  // Queue an input message. Inputs carry the tick they apply to; an input
+  // that arrives after its tick has already been simulated is applied on the
+  // next tick instead, so it is never lost, and reported as a
+  // { type: 'lateInput' } message with the tick it was applied on, so that
+  // a recorded input stream can be corrected to the one simulated.
+  function queueInput(data) {
+    const requested = data.tick | 0;
+    const entry = {
+      tick: Math.max(requested, tick + 1),
+      id: data.id,
+      input: data.input
+    };
+    if (entry.tick !== requested) {
+      post({ type: 'lateInput', id: data.id, tick: requested, appliedTick: entry.tick });
+    }
+    // Insert after any input with the same or an earlier tick so that inputs
+    // for one tick are applied in arrival order.
+    let i = pendingInputs.length;
+    while (i > 0 && pendingInputs[i - 1].tick > entry.tick) i--;
+    pendingInputs.splice(i, 0, entry);
+  }
+
+  // Whether player `id` sits the penalty in play out: in a shootout only
+  // the shooter and the keeper move, kick or use their special move.
+  function benched(id) {
+    const key = String(id);
+    return !!penalty && key !== penalty.shooter && key !== penalty.keeper;
+  }
+
+  // Move every queued input for `forTick` (or earlier) into the held input
+  // table. One‑shot actions (the special move and kicks) fire here, exactly
+  // once, and only when `live` for players who are not benched. The move
+  // goes first so that an armed power shot powers a kick requested on the
+  // same tick.
+  function applyPendingInputs(forTick, live) {
+    while (pendingInputs.length > 0 && pendingInputs[0].tick <= forTick) {
+      const { id, input } = pendingInputs.shift();
+      if (!bodies[id]) continue;
+      heldInputs[id] = {
+        left: !!input.left,
+        right: !!input.right,
+        jump: !!input.jump
+      };
+      if (!live || benched(id)) continue;
+      if (input.ability) {
+        useAbility(id);
+      }
+      if (input.kick) {
+        kick(id);
+      }
+    }
+  }
+
+  // Apply a player's held input for the current tick.
+  function applyHeldInput(id) {
+    const input = heldInputs[id];
+    const body = bodies[id];
+    if (!body) return;
+    const vel = body.GetLinearVelocity();
+    const speed = arena.player.speed;
+    let vx = 0;
+    if (input.left && !input.right) {
+      vx = -speed;
+    } else if (input.right && !input.left) {
+      vx = speed;
+    }
+    if (vx !== 0) {
+      facing[id] = Math.sign(vx);
+    }
+    body.SetLinearVelocity(new Module.b2Vec2(vx, vel.get_y()));
+    // Jump if on the ground and not already moving upward
+    if (input.jump) {
+      if (isGrounded(body)) {
+        const impulse = new Module.b2Vec2(0, arena.player.jumpSpeed * body.GetMass());
+        body.ApplyLinearImpulse(impulse, body.GetWorldCenter(), true);
+      }
+    }
+  }
+
+  // True when the body is standing on the ground and not moving vertically.
+  function isGrounded(body) {
+    const y = body.GetPosition().get_y();
+    const vy = body.GetLinearVelocity().get_y();
+    return y <= GROUND_TOP + arena.player.radius + 0.05 && Math.abs(vy) < 0.1;
+  }
+
+  // Fire player `id`'s special move if it is charged and off cooldown.
+  // Returns true if it fired; it is reported as an
+  // { type: 'ability', playerId, ability } event.
+  function useAbility(id) {
+    const state = abilities[id];
+    const move = ABILITIES[state.name];
+    if (!move || tick < state.readyTick || state.charge < move.cost) return false;
+    state.charge -= move.cost;
+    state.readyTick = tick + move.cooldownTicks;
+    state.activeUntil = move.ticks ? tick + move.ticks : 0;
+    if (state.name === 'superJump') {
+      superJump(bodies[id]);
+    }
+    recordEvent({ type: 'ability', playerId: Number(id), ability: state.name });
+    return true;
+  }
+
+  // True while the effect of player `id`'s last move is still running.
+  function abilityActive(id) {
+    return tick <= abilities[id].activeUntil;
+  }
+
+  // Per‑tick ability upkeep for player `id`: fill the charge meter and keep
+  // lasting moves going. Dashes and shoulder charges override the running
+  // speed from the held input; a shoulder charge ends at the first opponent
+  // it reaches and knocks them back. Teammates (players who kick off in the
+  // same half) are passed through.
+  function updateAbility(id) {
+    const state = abilities[id];
+    state.charge = Math.min(CHARGE_MAX, state.charge + CHARGE_PER_SECOND * TICK_SECONDS);
+    if (!abilityActive(id)) return;
+    const move = ABILITIES[state.name];
+    const body = bodies[id];
+    if (move.speed) {
+      body.SetLinearVelocity(new Module.b2Vec2(facing[id] * move.speed, body.GetLinearVelocity().get_y()));
+    }
+    if (move.knockback) {
+      const p = body.GetPosition();
+      const half = (key) => arena.spawns.players[key].x < arena.width / 2;
+      for (const other in abilities) {
+        if (other === id || half(other) === half(id)) continue;
+        const target = bodies[other];
+        const q = target.GetPosition();
+        const dx = q.get_x() - p.get_x();
+        const dy = q.get_y() - p.get_y();
+        if (dx * facing[id] < 0 || Math.hypot(dx, dy) > arena.player.radius * 2 + 0.05) continue;
+        const mass = target.GetMass();
+        target.ApplyLinearImpulse(new Module.b2Vec2(facing[id] * move.knockback * mass, move.knockback * 0.4 * mass), target.GetWorldCenter(), true);
+        state.activeUntil = 0;
+        break;
+      }
+    }
+  }
+
+  // Magnus effect: a spinning ball is pushed at right angles to its flight,
+  // F = m·k·(ω × v). With Box2D's y‑up axes, positive (counter‑clockwise)
+  // spin on a ball moving right is backspin and lifts it; negative spin
+  // makes it dip. Box2D clears forces after each step, so this runs every
+  // tick.
+  function applyMagnus() {
+    const ball = bodies.ball;
+    const w = ball.GetAngularVelocity();
+    if (w === 0) return;
+    const v = ball.GetLinearVelocity();
+    const k = arena.ball.magnus * ball.GetMass();
+    ball.ApplyForceToCenter(new Module.b2Vec2(-k * w * v.get_y(), k * w * v.get_x()), false);
+  }
+
+  // Kick the ball if it is within reach of player `id` and not behind them.
+  // The kind of kick depends on where the ball is relative to the player and
+  // whether the player is airborne; the ball is sent in the player's facing direction
+  // and picks up part of the player's own velocity. The ball's previous
+  // velocity and spin are replaced, so a kick always goes where it is
+  // aimed; the new spin depends on how far off the line of the kick
+  // (through the player's centre) the ball was struck.
+  function kick(id) {
+    const body = bodies[id];
+    const ball = bodies.ball;
+    if (tick < (kickReadyTick[id] || 0)) return;
+    const p = body.GetPosition();
+    const b = ball.GetPosition();
+    const dx = b.get_x() - p.get_x();
+    const dy = b.get_y() - p.get_y();
+    const gap = Math.hypot(dx, dy) - arena.player.radius - arena.ball.radius;
+    if (gap > KICK_REACH || dx * facing[id] < -arena.ball.radius) return;
+    let kindName;
+    if (dy > arena.player.radius * 0.5) {
+      kindName = 'header';
+    } else if (!isGrounded(body)) {
+      kindName = 'volley';
+    } else {
+      kindName = 'ground';
+    }
+    const kind = KICKS[kindName];
+    const angle = kind.angle * Math.PI / 180;
+    // An armed power shot is used up by the next kick that connects.
+    const powered = abilities[id].name === 'powerShot' && abilityActive(id);
+    const speed = kind.speed * (powered ? ABILITIES.powerShot.power : 1);
+    if (powered) abilities[id].activeUntil = 0;
+    const pv = body.GetLinearVelocity();
+    const targetVx = facing[id] * speed * Math.cos(angle) + pv.get_x() * kind.carry;
+    const targetVy = speed * Math.sin(angle) + Math.max(0, pv.get_y()) * kind.carry;
+    const bv = ball.GetLinearVelocity();
+    const mass = ball.GetMass();
+    const ix = (targetVx - bv.get_x()) * mass;
+    const iy = (targetVy - bv.get_y()) * mass;
+    ball.ApplyLinearImpulse(new Module.b2Vec2(ix, iy), ball.GetWorldCenter(), true);
+    // Cross product of the kick direction and the unit vector towards the
+    // ball: positive when the ball sits above the kick line.
+    const offset = (facing[id] * Math.cos(angle) * dy - Math.sin(angle) * dx) / Math.hypot(dx, dy);
+    ball.SetAngularVelocity(offset * KICK_SPIN);
+    kickReadyTick[id] = tick + KICK_COOLDOWN_TICKS;
+    const event = {
+      type: 'ballTouch',
+      playerId: Number(id),
+      impulse: Math.hypot(ix, iy),
+      kick: kindName,
+      ball: { x: b.get_x(), y: b.get_y(), vx: targetVx, vy: targetVy }
+    };
+    if (powered) event.powerShot = true;
+    recordEvent(event);
+  }
+
+  // Apply an extra vertical impulse for a super‑jump. This is a one‑time
+  // boost fired by useAbility(). The magnitude (arena.player.superJumpSpeed)
+  // is tuned to feel impactful but not overpowered.
+  function superJump(body) {
+    const mass = body.GetMass();
+    const impulse = new Module.b2Vec2(0, arena.player.superJumpSpeed * mass);
+    body.ApplyLinearImpulse(impulse, body.GetWorldCenter(), true);
+  }
+
+  // Free the world and everything in it. The handle must not be used
+  // afterwards.
+  function destroy() {
+    Module.destroy(world);
+    Module.destroy(contactListener);
+    world = null;
+  }
+
+  setupWorld();
+  return {
+    bodies,
+    get tick() {
+      return tick;
+    },
+    get phase() {
+      return phase;
+    },
+    step: stepWorld,
+    queueInput,
+    resetPositions,
+    serve,
+    startPenalty,
+    switchSides,
+    saveState,
+    loadState,
+    writeSnapshot,
+    destroy
+  };
+}
@@ -1,200 +1,206 @@
 /*
  * Web Worker responsible for running the Box2D physics simulation.
- * It loads the box2d-wasm module, builds a simple world with two
- * players and a ball, steps the simulation at a fixed 120 Hz, and
- * communicates the state back to the main thread. Inputs from the
- * main thread (movement, jump commands) are applied to the
- * corresponding dynamic bodies. Goals are detected when the ball
- * leaves the horizontal bounds and a message is posted.
+ * It loads the box2d-wasm module, builds the match model from physics.js
+ * and drives it in fixed 120 Hz ticks from a real-time pump, so the
+ * simulation depends only on the input stream and never on timer jitter.
+ * Inputs from the main thread (movement, jump, kick and special move) are
+ * tagged with the tick they apply to. Contact events and goals are
+ * forwarded to the main thread as they happen.
+ *
+ * State is published as binary snapshots (see snapshot.js) at most once
+ * per pump, i.e. at roughly the display's frame rate, rather than once per
+ * tick.
+ *
+ * The arena (dimensions, gravity, materials, player abilities and spawn
+ * points) is described by a single config object. The main thread sends
+ * an `init` message with any overrides, the worker merges them over
+ * DEFAULT_ARENA, builds the world and posts the resolved config back so
+ * the renderer draws exactly what is simulated.
+ *
+ * This is a module worker; main.js creates it with { type: 'module' }.
  */
 
-// Load the WebAssembly build of Box2D via jsDelivr. When loaded
-// Box2D() returns a promise which resolves with the Module object.
-importScripts('https://cdn.jsdelivr.net/npm/box2d-wasm@7.0.0/dist/umd/Box2D.js');
+// The ES build of Box2D via jsDelivr. Its default export resolves with the
+// Module object once the WebAssembly binary has loaded.
+import Box2D from 'https://cdn.jsdelivr.net/npm/box2d-wasm@7.0.0/dist/es/entry.js';
+import { DEFAULT_ARENA, TICK_MS, createPhysics, mergeConfig } from './physics.js';
+import { SNAPSHOT_FLAG_PAUSED, SNAPSHOT_LENGTH, SNAPSHOT_RING_SLOTS, snapshotRingViews } from './snapshot.js';
 
 let Module;
-let world;
-const bodies = {};
-// World parameters: width and height in metres. Gravity is expressed
-// in metres/second^2. We invert gravity because Box2D uses a
-// coordinate system where positive y is up; in our game, positive y
-// is downwards on screen.
-const WORLD_WIDTH = 10;
-const WORLD_HEIGHT = 5;
-const GRAVITY = -9.81;
-const PLAYER_RADIUS = 0.3;
-const BALL_RADIUS = 0.11;
+// Simulation handle from createPhysics(), once the world is built.
+let physics = null;
+// Resolved arena for this worker, set by the `init` message.
+let arena = null;
 
-// Initialize the Box2D module and set up the world. Once ready,
-// begin stepping the simulation.
+// The pump runs at the render rate. Each pump simulates the ticks that are
+// due and publishes one snapshot of the latest one.
+const PUMP_MS = 1000 / 60;
+// Never simulate more than this many ticks in one pump. If the worker was
+// starved (e.g. the tab was in the background) we drop the backlog instead
+// of spiralling.
+const MAX_TICKS_PER_PUMP = 30;
+// Real-time accumulator feeding the fixed step.
+let accumulatorMs = 0;
+let lastPumpTime = 0;
+// While paused the pump does not advance the simulation; ticks can still
+// be run one at a time with the `step` message.
+let paused = false;
+// Multiplier applied to elapsed real time: 0.5 runs the simulation at half
+// speed. Each tick is still exactly TICK_SECONDS, so results do not depend
+// on the scale.
+let timeScale = 1;
+const MAX_TIME_SCALE = 4;
+
+// Snapshot buffers. Posted snapshots are transferred to the main thread,
+// which sends them back in a `recycle` message; recycled buffers are kept
+// here for reuse.
+const snapshotPool = [];
+const MAX_POOLED_SNAPSHOTS = 8;
+// Shared ring views when the main thread provided a SharedArrayBuffer.
+let snapshotRing = null;
+
+// Initialize the Box2D module. The world is built once both the module
+// has loaded and the main thread has sent its `init` message, whichever
+// comes last.
 Box2D().then((B2) => {
   Module = B2;
-  setupWorld();
-  // Step the world at 120 Hz. Using setInterval is sufficient here
-  // because the worker runs off the main thread.
-  setInterval(stepWorld, 1000 / 120);
+  if (arena) start();
 });
 
-function setupWorld() {
-  const gravityVec = new Module.b2Vec2(0, GRAVITY);
-  world = new Module.b2World(gravityVec);
-
-  // Ground – static body spanning the entire width at y=0.
-  let bd = new Module.b2BodyDef();
-  bd.set_type(Module.b2_staticBody);
-  bd.set_position(new Module.b2Vec2(WORLD_WIDTH / 2, 0));
-  const ground = world.CreateBody(bd);
-  let shape = new Module.b2PolygonShape();
-  shape.SetAsBox(WORLD_WIDTH / 2, 0.1);
-  ground.CreateFixture(shape, 0);
-
-  // Left wall
-  bd = new Module.b2BodyDef();
-  bd.set_type(Module.b2_staticBody);
-  bd.set_position(new Module.b2Vec2(0, WORLD_HEIGHT / 2));
-  const leftWall = world.CreateBody(bd);
-  shape = new Module.b2PolygonShape();
-  shape.SetAsBox(0.1, WORLD_HEIGHT / 2);
-  leftWall.CreateFixture(shape, 0);
-
-  // Right wall
-  bd = new Module.b2BodyDef();
-  bd.set_type(Module.b2_staticBody);
-  bd.set_position(new Module.b2Vec2(WORLD_WIDTH, WORLD_HEIGHT / 2));
-  const rightWall = world.CreateBody(bd);
-  shape = new Module.b2PolygonShape();
-  shape.SetAsBox(0.1, WORLD_HEIGHT / 2);
-  rightWall.CreateFixture(shape, 0);
-
-  // Create dynamic bodies
-  createBall();
-  createPlayer(1, 2);
-  createPlayer(2, WORLD_WIDTH - 2);
-}
-
-function createBall() {
-  const bodyDef = new Module.b2BodyDef();
-  bodyDef.set_type(Module.b2_dynamicBody);
-  bodyDef.set_position(new Module.b2Vec2(WORLD_WIDTH / 2, WORLD_HEIGHT - 1));
-  bodyDef.set_bullet(true);
-  const body = world.CreateBody(bodyDef);
-  const circle = new Module.b2CircleShape();
-  circle.set_m_radius(BALL_RADIUS);
-  const fixtureDef = new Module.b2FixtureDef();
-  fixtureDef.set_shape(circle);
-  fixtureDef.set_density(0.5);
-  fixtureDef.set_restitution(0.82);
-  fixtureDef.set_friction(0.01);
-  body.CreateFixture(fixtureDef);
-  bodies.ball = body;
+// Build the world, report the resolved arena and begin stepping.
+function start() {
+  physics = createPhysics(Module, arena, (message) => postMessage(message));
+  postMessage({ type: 'arena', arena });
+  // The pump timer only measures elapsed time; the accumulator converts it
+  // into whole fixed-size ticks.
+  lastPumpTime = performance.now();
+  setInterval(pump, PUMP_MS);
 }
 
-function createPlayer(id, x) {
-  const bodyDef = new Module.b2BodyDef();
-  bodyDef.set_type(Module.b2_dynamicBody);
-  bodyDef.set_position(new Module.b2Vec2(x, 1));
-  bodyDef.set_fixedRotation(true);
-  const body = world.CreateBody(bodyDef);
-  const circle = new Module.b2CircleShape();
-  circle.set_m_radius(PLAYER_RADIUS);
-  const fixtureDef = new Module.b2FixtureDef();
-  fixtureDef.set_shape(circle);
-  fixtureDef.set_density(1.0);
-  fixtureDef.set_friction(0.2);
-  fixtureDef.set_restitution(0.1);
-  body.CreateFixture(fixtureDef);
-  bodies[id] = body;
-}
-
-function resetPositions() {
-  // Reset ball
-  const ball = bodies.ball;
-  ball.SetTransform(new Module.b2Vec2(WORLD_WIDTH / 2, WORLD_HEIGHT - 1), 0);
-  ball.SetLinearVelocity(new Module.b2Vec2(0, 0));
-  ball.SetAngularVelocity(0);
-  // Reset players
-  const p1 = bodies[1];
-  p1.SetTransform(new Module.b2Vec2(2, 1), 0);
-  p1.SetLinearVelocity(new Module.b2Vec2(0, 0));
-  const p2 = bodies[2];
-  p2.SetTransform(new Module.b2Vec2(WORLD_WIDTH - 2, 1), 0);
-  p2.SetLinearVelocity(new Module.b2Vec2(0, 0));
-}
-
-function stepWorld() {
-  world.Step(1 / 120, 8, 3);
-  // Detect goal when the ball leaves bounds. Negative x means left wall,
-  // greater than WORLD_WIDTH means right wall.
-  const ballPos = bodies.ball.GetPosition();
-  let goal = null;
-  if (ballPos.get_x() < -0.5) {
-    goal = 'right';
-  } else if (ballPos.get_x() > WORLD_WIDTH + 0.5) {
-    goal = 'left';
+// Run as many fixed ticks as the elapsed real time allows.
+function pump() {
+  const now = performance.now();
+  const elapsed = now - lastPumpTime;
+  lastPumpTime = now;
+  if (paused) return;
+  accumulatorMs += elapsed * timeScale;
+  let steps = 0;
+  while (accumulatorMs >= TICK_MS && steps < MAX_TICKS_PER_PUMP) {
+    physics.step();
+    accumulatorMs -= TICK_MS;
+    steps++;
   }
-  if (goal) {
-    postMessage({ type: 'goal', scorer: goal });
-    resetPositions();
+  if (steps === MAX_TICKS_PER_PUMP) {
+    accumulatorMs = 0;
   }
-  // Build state snapshot. Each entry includes position and velocity.
-  const snapshot = {};
-  for (const key in bodies) {
-    const b = bodies[key];
-    const pos = b.GetPosition();
-    const vel = b.GetLinearVelocity();
-    snapshot[key] = {
-      x: pos.get_x(),
-      y: pos.get_y(),
-      vx: vel.get_x(),
-      vy: vel.get_y()
-    };
+  if (steps > 0) {
+    publishSnapshot();
   }
-  postMessage({ type: 'state', state: snapshot });
 }
 
-function handleInput(data) {
-  const id = data.id;
-  const input = data.input;
-  const body = bodies[id];
-  if (!body) return;
-  const vel = body.GetLinearVelocity();
-  const speed = 4; // metres per second horizontal target
-  let vx = 0;
-  if (input.left && !input.right) {
-    vx = -speed;
-  } else if (input.right && !input.left) {
-    vx = speed;
-  }
-  body.SetLinearVelocity(new Module.b2Vec2(vx, vel.get_y()));
-  // Jump if near ground and not already moving upward
-  if (input.jump) {
-    const pos = body.GetPosition();
-    if (pos.get_y() <= PLAYER_RADIUS + 0.05 && Math.abs(vel.get_y()) < 0.1) {
-      const jumpImpulse = 6.2; // approximate jump velocity
-      const impulse = new Module.b2Vec2(0, jumpImpulse * body.GetMass());
-      body.ApplyLinearImpulse(impulse, body.GetWorldCenter(), true);
-    }
+// Publish the current state, either into the shared ring or as a
+// transferred buffer in a { type: 'state', snapshot } message.
+function publishSnapshot() {
+  const flags = paused ? SNAPSHOT_FLAG_PAUSED : 0;
+  if (snapshotRing) {
+    const seq = Atomics.load(snapshotRing.header, 0) + 1;
+    physics.writeSnapshot(snapshotRing.slots[seq % SNAPSHOT_RING_SLOTS], flags);
+    Atomics.store(snapshotRing.header, 0, seq);
+  } else {
+    const array = snapshotPool.pop() || new Float32Array(SNAPSHOT_LENGTH);
+    physics.writeSnapshot(array, flags);
+    postMessage({ type: 'state', snapshot: array }, [array.buffer]);
   }
 }
 
+// Message protocol:
+//   { type: 'init', arena, snapshotRing } – overrides for DEFAULT_ARENA.
+//     Must be sent once before anything else; the worker answers with
+//     { type: 'arena', arena } carrying the resolved config. The optional
+//     `snapshotRing` is a SharedArrayBuffer from createSnapshotRing().
+//   { type: 'input', id, tick, input } – input for player `id`, applied at
+//     the start of tick `tick`. `input` holds left/right/jump buttons and
+//     optional one‑shot `ability` (special move) and `kick` flags.
+//   { type: 'reset' } – move ball and players back to kickoff positions
+//     straight away, without a countdown.
+//   { type: 'serve', ball } – line the players up at their spawn points
+//     and launch the ball from { x, y } with velocity { vx, vy } and
+//     `spin` (see serve in physics.js); answered with { type: 'served',
+//     tick }, so events posted before it still belong to the old ball.
+//   { type: 'penalty', shooter, keeper } – go to (or stay in) the penalty
+//     shootout and line up its next penalty (see startPenalty in
+//     physics.js).
+//   { type: 'switchSides' } – swap the players' ends for the next period
+//     and start the countdown to its kickoff; answered with a new { type: 'arena', arena }
+//     carrying the mirrored spawn points.
+//   { type: 'pause' } / { type: 'resume' } – stop and restart the clock
+//     that drives the simulation.
+//   { type: 'step', ticks } – while paused, simulate `ticks` ticks (default
+//     1) immediately.
+//   { type: 'setTimeScale', scale } – run the simulation faster or slower
+//     than real time (0 to MAX_TIME_SCALE).
+//   { type: 'recycle', snapshot } – return a snapshot buffer for reuse.
+//   { type: 'saveState', requestId } – capture the world (see saveState in
+//     physics.js); answered with { type: 'savedState', requestId, state }.
+//   { type: 'loadState', state } – restore a captured world and publish a
+//     snapshot of it straight away. Queued inputs are dropped.
+// The worker publishes state snapshots once per pump (as { type: 'state',
+// snapshot } messages unless a shared ring is in use), a
+// { type: 'events', tick, events } batch for every tick with contact
+// events, and { type: 'goal', tick, scorer, lastTouch, ball } when a goal
+// is scored (`lastTouch` is the id of the player who touched the ball last
+// and `ball` the ball's { x, y } as it went in). In a shootout a penalty
+// that does not go in ends with { type: 'penaltyMissed', tick, lastTouch }.
+// An input that arrives after its tick has been simulated is applied on the
+// next tick and reported as { type: 'lateInput', id, tick, appliedTick }.
+// Snapshots carry the match phase, so the main thread knows when kickoff
+// countdowns and goal celebrations begin and end.
 self.onmessage = (event) => {
   const data = event.data;
-  if (data.type === 'input') {
-    handleInput(data);
+  if (data.type === 'init') {
+    if (arena) return;
+    arena = mergeConfig(DEFAULT_ARENA, data.arena);
+    if (data.snapshotRing) snapshotRing = snapshotRingViews(data.snapshotRing);
+    if (Module) start();
+  } else if (data.type === 'input') {
+    if (physics) physics.queueInput(data);
   } else if (data.type === 'reset') {
-    resetPositions();
-  } else if (data.type === 'super') {
-    // Apply an extra vertical impulse for a super‑jump. This is a one‑time
-    // boost triggered by the main thread when the player activates their
-    // special ability. The magnitude is tuned to feel impactful but not
-    // overpowered. Only dynamic bodies (players) respond to this message.
-    const id = data.id;
-    const body = bodies[id];
-    if (body) {
-      const mass = body.GetMass();
-      const impulseMag = 12.0; // increase impulse compared to regular jump
-      const impulse = new Module.b2Vec2(0, impulseMag * mass);
-      body.ApplyLinearImpulse(impulse, body.GetWorldCenter(), true);
+    if (physics) physics.resetPositions();
+  } else if (data.type === 'serve') {
+    if (physics && data.ball) {
+      physics.serve(data.ball);
+      postMessage({ type: 'served', tick: physics.tick });
+    }
+  } else if (data.type === 'penalty') {
+    if (physics) physics.startPenalty(data.shooter, data.keeper);
+  } else if (data.type === 'switchSides') {
+    if (physics) {
+      physics.switchSides();
+      postMessage({ type: 'arena', arena });
+    }
+  } else if (data.type === 'pause') {
+    paused = true;
+    accumulatorMs = 0;
+  } else if (data.type === 'resume') {
+    paused = false;
+  } else if (data.type === 'step') {
+    if (physics && paused) {
+      const count = Math.max(1, data.ticks | 0);
+      for (let i = 0; i < count; i++) physics.step();
+      publishSnapshot();
+    }
+  } else if (data.type === 'recycle') {
+    if (snapshotPool.length < MAX_POOLED_SNAPSHOTS) snapshotPool.push(data.snapshot);
+  } else if (data.type === 'saveState') {
+    if (physics) postMessage({ type: 'savedState', requestId: data.requestId, state: physics.saveState() });
+  } else if (data.type === 'loadState') {
+    if (physics && data.state) {
+      physics.loadState(data.state);
+      accumulatorMs = 0;
+      publishSnapshot();
     }
+  } else if (data.type === 'setTimeScale') {
+    const scale = Number(data.scale);
+    if (scale >= 0) timeScale = Math.min(scale, MAX_TIME_SCALE);
   }
 };
\ No newline at end of file
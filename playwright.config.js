@@ -1,12 +1,15 @@
-// Playwright configuration for end‑to‑end tests. This is a basic
-// placeholder; to run the tests you must install Playwright (`npm
-// install -D @playwright/test`) and ensure the game can be served
-// locally (e.g. using `npm run dev`). The tests under `tests/ui.spec.ts`
-// illustrate how to interact with the PWA using Playwright APIs.
+// Playwright configuration for end‑to‑end tests, run with `npm run
+// test:e2e`. @playwright/test is a dev dependency; its browsers are
+// installed once with `npx playwright install chromium`, and the game is
+// served locally the same way as `npm run dev`. The tests under
+// `tests/ui.spec.ts` illustrate how to interact with the PWA using
+// Playwright APIs. Only *.spec.ts files are end‑to‑end tests; the
+// *.test.ts files next to them are vitest unit tests.
 
 /** @type {import('@playwright/test').PlaywrightTestConfig} */
 const config = {
   testDir: 'tests',
+  testMatch: '**/*.spec.ts',
   timeout: 30000,
   use: {
     headless: true,
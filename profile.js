@@ -0,0 +1,182 @@
+/*
+ * Player profile: display name, experience, level, achievements and the
+ * cosmetic items they unlock. Experience is earned in matches against the
+ * AI (see matchXp); every level needs 100 XP more than the one before.
+ * Avatars, kits and ball skins are unlocked by level or by an achievement.
+ *
+ * The profile is a plain object that main.js keeps in localStorage. It is
+ * stored with a schema `version`; migrateProfile() upgrades anything read
+ * back from storage to PROFILE_VERSION, so a profile survives updates that
+ * change its shape. When a later schema version adds a migration, it goes
+ * into MIGRATIONS under the version it produces.
+ */
+
+import { aiLevels } from './ai.js';
+
+export const PROFILE_VERSION = 1;
+
+// Achievements, checked after every match against the AI.
+export const ACHIEVEMENTS = {
+  firstWin: { label: 'Первая победа' },
+  hatTrick: { label: 'Хет‑трик: три гола за матч' },
+  beatLegend: { label: 'Победа над Legend' },
+  cupWinner: { label: 'Обладатель кубка' }
+};
+
+// Unlockable items. `id` of an avatar is its index into the avatars of
+// main.js (characterTextures); kits colour the outline of player 1 and ball
+// skins fill the ball. An item with neither `level` nor `achievement` is
+// available from the start.
+export const UNLOCKS = [
+  { type: 'avatar', id: 0 },
+  { type: 'avatar', id: 1 },
+  { type: 'avatar', id: 2, level: 2 },
+  { type: 'avatar', id: 3, level: 3 },
+  { type: 'avatar', id: 4, achievement: 'firstWin' },
+  { type: 'avatar', id: 5, achievement: 'cupWinner' },
+  { type: 'kit', id: 'classic', label: 'Классика', color: 0x002244 },
+  { type: 'kit', id: 'forest', label: 'Лес', color: 0x0b5d1e, level: 4 },
+  { type: 'kit', id: 'gold', label: 'Золото', color: 0xc9a227, achievement: 'hatTrick' },
+  { type: 'ball', id: 'classic', label: 'Классика', color: 0xffff00 },
+  { type: 'ball', id: 'white', label: 'Белый', color: 0xffffff, level: 2 },
+  { type: 'ball', id: 'orange', label: 'Оранжевый', color: 0xff8800, level: 5 },
+  { type: 'ball', id: 'fire', label: 'Огненный', color: 0xff3300, achievement: 'beatLegend' }
+];
+
+// Upgrades from older schema versions, keyed by the version they produce.
+// Each takes and returns a profile object.
+const MIGRATIONS = {};
+
+// A fresh profile. The starting items are unlocked and selected.
+export function createProfile() {
+  const profile = {
+    version: PROFILE_VERSION,
+    name: 'Игрок',
+    xp: 0,
+    matches: 0,
+    wins: 0,
+    goals: 0,
+    achievements: [],
+    unlocked: [],
+    selected: { avatar: 0, kit: 'classic', ball: 'classic' }
+  };
+  refreshUnlocks(profile);
+  return profile;
+}
+
+// Turn whatever was read from storage into a current profile: missing
+// fields get their defaults, migrations newer than the stored version are
+// applied in order and unlocks are brought up to date. Fields unknown to
+// this version (from a newer one) are kept. Anything that is not a profile
+// gives a fresh one.
+export function migrateProfile(stored) {
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) return createProfile();
+  const defaults = createProfile();
+  let profile = {
+    ...defaults,
+    ...stored,
+    achievements: Array.isArray(stored.achievements) ? stored.achievements.slice() : [],
+    unlocked: Array.isArray(stored.unlocked) ? stored.unlocked.slice() : [],
+    selected: { ...defaults.selected, ...stored.selected }
+  };
+  const from = stored.version | 0;
+  for (let version = from + 1; version <= PROFILE_VERSION; version++) {
+    if (MIGRATIONS[version]) profile = MIGRATIONS[version](profile);
+  }
+  profile.version = Math.max(from, PROFILE_VERSION);
+  refreshUnlocks(profile);
+  // A selection that is not unlocked (e.g. edited storage) falls back to
+  // the default.
+  for (const type of ['avatar', 'kit', 'ball']) {
+    if (!isUnlocked(profile, type, profile.selected[type])) profile.selected[type] = defaults.selected[type];
+  }
+  return profile;
+}
+
+// Level for `xp`, starting at 1, with the XP gained into that level and
+// the XP it takes to reach the next one: { level, into, needed }.
+export function levelForXp(xp) {
+  let level = 1;
+  let rest = xp;
+  while (rest >= level * 100) {
+    rest -= level * 100;
+    level++;
+  }
+  return { level, into: rest, needed: level * 100 };
+}
+
+// XP for a match against the AI on `aiLevel`: 20 for playing, 20 for a
+// draw or 50 for a win plus 25 per difficulty step above Rookie, and 10
+// per goal scored.
+export function matchXp({ goalsFor, goalsAgainst, aiLevel }) {
+  const difficulty = Math.max(0, aiLevels.indexOf(aiLevel));
+  let xp = 20 + goalsFor * 10;
+  if (goalsFor > goalsAgainst) xp += 50 + difficulty * 25;
+  if (goalsFor === goalsAgainst) xp += 20;
+  return xp;
+}
+
+// Unique key of an unlockable item, as stored in profile.unlocked.
+function itemKey(type, id) {
+  return `${type}:${id}`;
+}
+
+export function isUnlocked(profile, type, id) {
+  return profile.unlocked.includes(itemKey(type, id));
+}
+
+// The item of `type` with `id`, or undefined.
+export function findItem(type, id) {
+  return UNLOCKS.find((item) => item.type === type && item.id === id);
+}
+
+// Short description of what unlocks `item`.
+export function unlockRequirement(item) {
+  if (item.level) return `уровень ${item.level}`;
+  if (item.achievement) return ACHIEVEMENTS[item.achievement].label;
+  return '';
+}
+
+// Add every item whose level or achievement the profile has reached to
+// profile.unlocked and return the newly unlocked items.
+export function refreshUnlocks(profile) {
+  const { level } = levelForXp(profile.xp);
+  const added = [];
+  UNLOCKS.forEach((item) => {
+    const key = itemKey(item.type, item.id);
+    if (profile.unlocked.includes(key)) return;
+    const due = item.level ? level >= item.level : item.achievement ? profile.achievements.includes(item.achievement) : true;
+    if (due) {
+      profile.unlocked.push(key);
+      added.push(item);
+    }
+  });
+  return added;
+}
+
+// Credit a finished match against the AI to the profile. `result` has
+// goalsFor, goalsAgainst, aiLevel and cupWon (the match won the cup).
+// Returns { xp, level, levelUp, achievements, unlocks } describing what
+// changed.
+export function recordMatchResult(profile, result) {
+  const before = levelForXp(profile.xp).level;
+  const xp = matchXp(result);
+  const won = result.goalsFor > result.goalsAgainst;
+  profile.xp += xp;
+  profile.matches += 1;
+  profile.goals += result.goalsFor;
+  if (won) profile.wins += 1;
+  const earned = [];
+  const earn = (id, condition) => {
+    if (condition && !profile.achievements.includes(id)) {
+      profile.achievements.push(id);
+      earned.push(id);
+    }
+  };
+  earn('firstWin', won);
+  earn('hatTrick', result.goalsFor >= 3);
+  earn('beatLegend', won && result.aiLevel === 'Legend');
+  earn('cupWinner', !!result.cupWon);
+  const level = levelForXp(profile.xp).level;
+  return { xp, level, levelUp: level > before, achievements: earned, unlocks: refreshUnlocks(profile) };
+}
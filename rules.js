@@ -0,0 +1,217 @@
+/*
+ * Match rules: periods, overtime, score limits and series. The match is a
+ * plain object that is advanced by the caller, so the same rules drive the
+ * browser match in main.js (advanced by the render loop) and the headless
+ * simulator in simulate.js (advanced once per physics tick).
+ *
+ * A match is played over `periods` periods of `periodMs` each; the teams
+ * switch ends between periods. If the score is level when the last period
+ * runs out and `overtime` is on, `overtimeMs` of golden‑goal overtime
+ * follows: the first goal ends the match. If nobody scores in overtime the
+ * match is a draw, unless `shootout` is on: then a penalty shootout
+ * decides it (see recordPenalty). A match also ends as soon as a team
+ * reaches `scoreLimit` goals or leads by `mercyLead` goals (0 turns either
+ * off).
+ *
+ * Scores are kept per team: `scoreLeft` is the team that kicked off in the
+ * left half (player 1, blue) and `scoreRight` the other one, even after
+ * they have switched ends.
+ *
+ * Several matches can form a best‑of‑`bestOf` series (see createSeries).
+ */
+
+export const DEFAULT_RULES = {
+  periodMs: 90 * 1000,
+  periods: 1,
+  overtime: true,
+  overtimeMs: 30 * 1000,
+  scoreLimit: 0,
+  mercyLead: 0,
+  bestOf: 1,
+  shootout: false
+};
+
+// Penalties per team in a shootout before it goes to sudden death
+export const SHOOTOUT_KICKS = 5;
+
+// Create the state of a new match. `rules` may override any of
+// DEFAULT_RULES. `endReason` is set when the match finishes: 'time',
+// 'goldenGoal', 'scoreLimit', 'mercy' or 'shootout'. `shootout` is null
+// until the match goes to penalties, then { kicks, winner }: every penalty
+// taken as { team, scored } in order, and the winning team once decided.
+export function createMatch(rules) {
+  const resolved = { ...DEFAULT_RULES, ...rules };
+  return {
+    rules: resolved,
+    scoreLeft: 0,
+    scoreRight: 0,
+    period: 1,
+    sidesSwitched: false,
+    timeLeftMs: resolved.periodMs,
+    overtime: false,
+    finished: false,
+    endReason: null,
+    shootout: null
+  };
+}
+
+// Run the clock for `dtMs` milliseconds. Returns what happened when time
+// ran out, or null:
+//   'period' – the next period started and the teams switched ends; the
+//     caller must switch the players' sides in the physics model
+//   'overtime' – golden‑goal overtime started
+//   'shootout' – the penalty shootout started; the clock stops for good
+//   'end' – the match finished
+export function advanceClock(match, dtMs) {
+  if (match.finished || match.shootout) return null;
+  match.timeLeftMs -= dtMs;
+  if (match.timeLeftMs > 0) return null;
+  const rules = match.rules;
+  if (!match.overtime && match.period < rules.periods) {
+    match.period += 1;
+    match.sidesSwitched = !match.sidesSwitched;
+    match.timeLeftMs = rules.periodMs;
+    return 'period';
+  }
+  if (!match.overtime && match.scoreLeft === match.scoreRight && rules.overtime && rules.overtimeMs > 0) {
+    match.overtime = true;
+    match.timeLeftMs = rules.overtimeMs;
+    return 'overtime';
+  }
+  match.timeLeftMs = 0;
+  if (match.scoreLeft === match.scoreRight && rules.shootout) {
+    match.shootout = { kicks: [], winner: null };
+    return 'shootout';
+  }
+  finish(match, 'time');
+  return 'end';
+}
+
+// The team taking the next penalty of the shootout. The left team starts
+// and the teams take turns.
+export function shootoutKicker(match) {
+  return match.shootout.kicks.length % 2 === 0 ? 'left' : 'right';
+}
+
+// Record the penalty just taken by shootoutKicker(match). After
+// SHOOTOUT_KICKS each the shootout goes to sudden death, a round at a time.
+// Returns true if the penalty decided the shootout, which finishes the
+// match.
+export function recordPenalty(match, scored) {
+  const shootout = match.shootout;
+  if (!shootout || match.finished) return false;
+  shootout.kicks.push({ team: shootoutKicker(match), scored: !!scored });
+  const taken = (team) => shootout.kicks.filter((k) => k.team === team).length;
+  const goals = shootoutScore(match);
+  const left = (team) => Math.max(0, SHOOTOUT_KICKS - taken(team));
+  // Decided once a team cannot be caught with the penalties it has left;
+  // in sudden death only after both teams have kicked.
+  const suddenDeath = left('left') === 0 && left('right') === 0;
+  if (suddenDeath && taken('left') !== taken('right')) return false;
+  if (goals.left > goals.right + left('right')) {
+    shootout.winner = 'left';
+  } else if (goals.right > goals.left + left('left')) {
+    shootout.winner = 'right';
+  } else {
+    return false;
+  }
+  finish(match, 'shootout');
+  return true;
+}
+
+// Penalties scored by each team: { left, right }.
+export function shootoutScore(match) {
+  const score = { left: 0, right: 0 };
+  (match.shootout ? match.shootout.kicks : []).forEach((k) => {
+    if (k.scored) score[k.team] += 1;
+  });
+  return score;
+}
+
+// The penalties of `team` so far, in order: true for scored, false for
+// missed.
+export function shootoutTally(match, team) {
+  return (match.shootout ? match.shootout.kicks : []).filter((k) => k.team === team).map((k) => k.scored);
+}
+
+// The team ('left' or 'right') credited with a goal reported by the
+// physics model for `side`, the side of the pitch whose attackers scored.
+// After the teams switch ends the two are swapped.
+export function scoringTeam(match, side) {
+  if (!match.sidesSwitched) return side;
+  return side === 'left' ? 'right' : 'left';
+}
+
+// Credit a goal to `team` ('left' or 'right'). Returns true if the goal
+// finished the match: a golden goal in overtime, reaching the score limit
+// or opening up the mercy lead.
+export function recordGoal(match, team) {
+  if (match.finished) return false;
+  if (team === 'left') {
+    match.scoreLeft += 1;
+  } else {
+    match.scoreRight += 1;
+  }
+  const rules = match.rules;
+  if (match.overtime) {
+    finish(match, 'goldenGoal');
+  } else if (rules.scoreLimit > 0 && Math.max(match.scoreLeft, match.scoreRight) >= rules.scoreLimit) {
+    finish(match, 'scoreLimit');
+  } else if (rules.mercyLead > 0 && Math.abs(match.scoreLeft - match.scoreRight) >= rules.mercyLead) {
+    finish(match, 'mercy');
+  }
+  return match.finished;
+}
+
+function finish(match, reason) {
+  match.finished = true;
+  match.endReason = reason;
+}
+
+// The winning team ('left' or 'right'), or null for a draw. A level match
+// goes to the winner of its shootout.
+export function matchWinner(match) {
+  if (match.scoreLeft === match.scoreRight) return match.shootout ? match.shootout.winner : null;
+  return match.scoreLeft > match.scoreRight ? 'left' : 'right';
+}
+
+// A best‑of‑`bestOf` series. It is over once a team has won more than half
+// of the games, or after `bestOf` games; the aggregate score decides a
+// series that ends level on wins.
+export function createSeries(rules) {
+  return {
+    bestOf: rules.bestOf,
+    games: [],
+    winsLeft: 0,
+    winsRight: 0,
+    goalsLeft: 0,
+    goalsRight: 0,
+    finished: false
+  };
+}
+
+// Add a finished match to the series. Returns true if the series is over.
+export function recordGame(series, match) {
+  series.games.push({ scoreLeft: match.scoreLeft, scoreRight: match.scoreRight });
+  series.goalsLeft += match.scoreLeft;
+  series.goalsRight += match.scoreRight;
+  const winner = matchWinner(match);
+  if (winner === 'left') series.winsLeft += 1;
+  if (winner === 'right') series.winsRight += 1;
+  const needed = Math.floor(series.bestOf / 2) + 1;
+  if (series.winsLeft >= needed || series.winsRight >= needed || series.games.length >= series.bestOf) {
+    series.finished = true;
+  }
+  return series.finished;
+}
+
+// The team that won the series ('left' or 'right'), or null for a draw.
+export function seriesWinner(series) {
+  if (series.winsLeft !== series.winsRight) {
+    return series.winsLeft > series.winsRight ? 'left' : 'right';
+  }
+  if (series.goalsLeft !== series.goalsRight) {
+    return series.goalsLeft > series.goalsRight ? 'left' : 'right';
+  }
+  return null;
+}
@@ -0,0 +1,164 @@
+/*
+ * Headless match simulator for Node (and therefore Vitest). It runs the
+ * same physics model, match rules and AI as the browser game, but with the
+ * locally installed box2d-wasm package and without a worker, a renderer or
+ * a real-time clock: ticks are simulated back to back as fast as the CPU
+ * allows. Used by the tests to check real gameplay, e.g.
+ *
+ *   const result = await simulateMatch({ aiLevelLeft: 'Pro', aiLevelRight: 'Rookie', seed: 7 });
+ *   // result.scoreLeft, result.scoreRight, result.winner, result.events
+ */
+
+import { readFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { DEFAULT_ARENA, TICK_MS, createPhysics, mergeConfig } from './physics.js';
+import { SNAPSHOT_LENGTH, readSnapshot } from './snapshot.js';
+import { aiProfiles, createAIMemory, createRng, updateAI } from './ai.js';
+import { advanceClock, createMatch, matchWinner, recordGoal, recordPenalty, scoringTeam, shootoutKicker, shootoutTally } from './rules.js';
+import { createRoster, penaltyPair, rosterArena } from './teams.js';
+
+const require = createRequire(import.meta.url);
+let box2dPromise = null;
+
+// Load box2d-wasm once per process. The UMD build is given the WebAssembly
+// binary read from disk because it cannot fetch it by URL under Node.
+export function loadBox2D() {
+  if (!box2dPromise) {
+    const factory = require('box2d-wasm/dist/umd/Box2D.js');
+    box2dPromise = readFile(require.resolve('box2d-wasm/dist/umd/Box2D.wasm'))
+      .then((wasmBinary) => factory({ wasmBinary }));
+  }
+  return box2dPromise;
+}
+
+// Play one AI‑vs‑AI match to the end and return
+//   { scoreLeft, scoreRight, winner, overtime, endReason, shootout, ticks,
+//     events }
+// `winner` is 'left', 'right' or null for a draw, `shootout` the match's
+// penalty shootout, if any (see createMatch in rules.js), and `events` is
+// the log of everything that happened, each entry tagged with its tick:
+// the worker's contact events, { type: 'goal', scorer, lastTouch,
+// timeLeft, period, overtime } (`scorer` is the team credited),
+// { type: 'period', period } when the teams switch ends,
+// { type: 'overtime' } when golden‑goal overtime starts,
+// { type: 'shootout' } when the penalty shootout starts and
+// { type: 'penalty', team, shooter, keeper, scored } for every penalty.
+//   aiLevelLeft / aiLevelRight – aiProfiles names for the players kicking
+//     off in the left and right half
+//   abilityLeft / abilityRight – the special move of every player of that
+//     team (see ABILITIES in abilities.js; the avatars of the game differ
+//     only in theirs, see CHARACTER_ABILITIES), 'superJump' by default
+//   teamSize – players per team (see createRoster in teams.js); each team
+//     has an attacker and, from 2v2, defenders
+//   seed – seeds the AI's random aim error; equal options give equal results
+//   rules – overrides for DEFAULT_RULES in rules.js
+//   durationMs – shorthand for rules.periodMs
+//   arena – overrides for DEFAULT_ARENA
+export async function simulateMatch(options = {}) {
+  const {
+    aiLevelLeft = 'Rookie',
+    aiLevelRight = 'Rookie',
+    abilityLeft = 'superJump',
+    abilityRight = 'superJump',
+    seed = 1,
+    rules,
+    durationMs,
+    teamSize = 1,
+    arena: arenaOverrides
+  } = options;
+  const Module = await loadBox2D();
+  const roster = createRoster(teamSize, { left: [], right: [] });
+  const rosterOverrides = rosterArena(roster, DEFAULT_ARENA.width, (p) => (p.team === 'left' ? abilityLeft : abilityRight));
+  const arena = mergeConfig(mergeConfig(DEFAULT_ARENA, rosterOverrides), arenaOverrides);
+  const match = createMatch(durationMs === undefined ? rules : { ...rules, periodMs: durationMs });
+  const events = [];
+  // The penalty in play in a shootout ({ team, shooter, keeper }), and
+  // whether the next one is due to be lined up after the current tick
+  let penalty = null;
+  let penaltyDue = false;
+  const physics = createPhysics(Module, arena, (message) => {
+    if (message.type === 'events') {
+      message.events.forEach((ev) => events.push({ tick: message.tick, ...ev }));
+    } else if (match.shootout && (message.type === 'goal' || message.type === 'penaltyMissed')) {
+      // Every penalty is taken at the right goal, credited to the left side.
+      const scored = message.type === 'goal' && message.scorer === 'left';
+      events.push({ type: 'penalty', tick: message.tick, ...penalty, scored });
+      recordPenalty(match, scored);
+      penaltyDue = !match.finished;
+    } else if (message.type === 'goal') {
+      const team = scoringTeam(match, message.scorer);
+      events.push({
+        type: 'goal',
+        tick: message.tick,
+        scorer: team,
+        lastTouch: message.lastTouch,
+        timeLeft: match.timeLeftMs,
+        period: match.period,
+        overtime: match.overtime
+      });
+      recordGoal(match, team);
+    }
+  });
+  // One AI per player, with the profile of its team and its role.
+  const random = createRng(seed);
+  const controllers = roster.map(({ id, team, role }) => {
+    const level = team === 'left' ? aiLevelLeft : aiLevelRight;
+    return { id, profile: aiProfiles[level] || aiProfiles.Rookie, memory: createAIMemory(role) };
+  });
+  // Line up the next penalty and give its shooter and keeper their roles
+  function nextPenalty() {
+    const team = shootoutKicker(match);
+    penalty = { team, ...penaltyPair(roster, team, shootoutTally(match, team).length) };
+    controllers.forEach(({ id, memory }) => {
+      if (id === penalty.shooter) memory.role = 'shooter';
+      if (id === penalty.keeper) memory.role = 'keeper';
+    });
+    physics.startPenalty(penalty.shooter, penalty.keeper);
+  }
+  const snapshot = new Float32Array(SNAPSHOT_LENGTH);
+  const state = {};
+  try {
+    while (!match.finished) {
+      // The AI sees the state after the previous tick, as it would in the
+      // browser, and its input applies to the next tick.
+      physics.writeSnapshot(snapshot);
+      readSnapshot(snapshot, state);
+      controllers.forEach(({ id, profile, memory }) => {
+        const input = updateAI(memory, state, id, arena, profile, TICK_MS, random);
+        physics.queueInput({ id, tick: physics.tick + 1, input: { ...input } });
+      });
+      // The clock only runs during live play, not during kickoff countdowns
+      // and goal celebrations.
+      const live = physics.phase === 'live';
+      physics.step();
+      if (match.finished) break;
+      if (penaltyDue) {
+        penaltyDue = false;
+        nextPenalty();
+      }
+      if (!live) continue;
+      const clockEvent = advanceClock(match, TICK_MS);
+      if (clockEvent === 'period') {
+        physics.switchSides();
+        events.push({ type: 'period', tick: physics.tick, period: match.period });
+      } else if (clockEvent === 'overtime') {
+        events.push({ type: 'overtime', tick: physics.tick });
+      } else if (clockEvent === 'shootout') {
+        events.push({ type: 'shootout', tick: physics.tick });
+        nextPenalty();
+      }
+    }
+    return {
+      scoreLeft: match.scoreLeft,
+      scoreRight: match.scoreRight,
+      winner: matchWinner(match),
+      overtime: match.overtime,
+      endReason: match.endReason,
+      shootout: match.shootout,
+      ticks: physics.tick,
+      events
+    };
+  } finally {
+    physics.destroy();
+  }
+}
@@ -0,0 +1,102 @@
+/*
+ * Binary layout of the physics state snapshots exchanged between the
+ * physics model (writer, see writeSnapshot in physics.js) and the main
+ * thread (reader). Both import this module, so the layout is defined
+ * exactly once.
+ *
+ * A snapshot is a Float32Array of SNAPSHOT_LENGTH values:
+ *
+ *   [TICK]          simulation tick the snapshot was taken at
+ *   [FLAGS]         bit set of SNAPSHOT_FLAG_* values
+ *   [PLAYER_COUNT]  number of player blocks in use
+ *   [PHASE]         match phase, an index into SNAPSHOT_PHASES
+ *   [PHASE_TIME]    seconds left in the phase (0 during live play)
+ *   [BALL ...]      ball x, y, vx, vy, angle, av (angular velocity in
+ *                   rad/s, counter‑clockwise in physics space)
+ *   [PLAYERS ...]   SNAPSHOT_MAX_PLAYERS blocks of id, x, y, vx, vy,
+ *                   charge, cooldown (ability meter and seconds until the
+ *                   move can be used again, see abilities.js)
+ *
+ * Snapshots are normally posted as transferable buffers; the main thread
+ * hands each buffer back with a `recycle` message so the worker can reuse
+ * it instead of allocating a new one per tick. When the page is
+ * cross‑origin isolated a SharedArrayBuffer ring is used instead and no
+ * state messages are posted at all.
+ */
+
+export const SNAPSHOT_MAX_PLAYERS = 4;
+export const SNAPSHOT_LAYOUT = {
+  TICK: 0,
+  FLAGS: 1,
+  PLAYER_COUNT: 2,
+  PHASE: 3,
+  PHASE_TIME: 4,
+  BALL: 5,
+  BALL_STRIDE: 6,
+  PLAYERS: 11,
+  PLAYER_STRIDE: 7
+};
+export const SNAPSHOT_LENGTH = SNAPSHOT_LAYOUT.PLAYERS + SNAPSHOT_MAX_PLAYERS * SNAPSHOT_LAYOUT.PLAYER_STRIDE;
+
+// The simulation is paused (the snapshot was produced by a single step).
+export const SNAPSHOT_FLAG_PAUSED = 1;
+// Positions were reset to kickoff since the previous snapshot, so bodies
+// jumped rather than moved.
+export const SNAPSHOT_FLAG_RESET = 2;
+
+// Match phases (see the phase machine in physics.js), in the order they
+// are numbered in the PHASE slot.
+export const SNAPSHOT_PHASES = ['live', 'countdown', 'goal'];
+
+// Decode a snapshot into `out`, reusing its nested objects, and return it.
+// The result has the shape { tick, flags, phase, phaseTime, ball: { x, y,
+// vx, vy, angle, av }, [id]: { x, y, vx, vy, charge, cooldown } } used
+// throughout main.js.
+export function readSnapshot(array, out) {
+  const L = SNAPSHOT_LAYOUT;
+  out.tick = array[L.TICK];
+  out.flags = array[L.FLAGS];
+  out.phase = SNAPSHOT_PHASES[array[L.PHASE]];
+  out.phaseTime = array[L.PHASE_TIME];
+  const ball = out.ball || (out.ball = {});
+  ball.x = array[L.BALL];
+  ball.y = array[L.BALL + 1];
+  ball.vx = array[L.BALL + 2];
+  ball.vy = array[L.BALL + 3];
+  ball.angle = array[L.BALL + 4];
+  ball.av = array[L.BALL + 5];
+  const count = array[L.PLAYER_COUNT];
+  for (let i = 0; i < count; i++) {
+    const off = L.PLAYERS + i * L.PLAYER_STRIDE;
+    const id = array[off];
+    const p = out[id] || (out[id] = {});
+    p.x = array[off + 1];
+    p.y = array[off + 2];
+    p.vx = array[off + 3];
+    p.vy = array[off + 4];
+    p.charge = array[off + 5];
+    p.cooldown = array[off + 6];
+  }
+  return out;
+}
+
+// Shared snapshot ring. The buffer starts with an Int32 sequence number
+// (padded to 8 bytes) followed by SNAPSHOT_RING_SLOTS snapshots. The
+// writer fills slot `seq % SNAPSHOT_RING_SLOTS` and then publishes `seq`;
+// readers always take the slot of the latest published sequence number.
+export const SNAPSHOT_RING_SLOTS = 4;
+export const SNAPSHOT_RING_HEADER_BYTES = 8;
+
+export function createSnapshotRing() {
+  return new SharedArrayBuffer(SNAPSHOT_RING_HEADER_BYTES + SNAPSHOT_RING_SLOTS * SNAPSHOT_LENGTH * 4);
+}
+
+// Typed array views over a ring buffer: `header[0]` is the sequence number
+// and `slots` the snapshot arrays.
+export function snapshotRingViews(buffer) {
+  const slots = [];
+  for (let i = 0; i < SNAPSHOT_RING_SLOTS; i++) {
+    slots.push(new Float32Array(buffer, SNAPSHOT_RING_HEADER_BYTES + i * SNAPSHOT_LENGTH * 4, SNAPSHOT_LENGTH));
+  }
+  return { header: new Int32Array(buffer, 0, 2), slots };
+}
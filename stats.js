@@ -0,0 +1,124 @@
+/*
+ * Match statistics. The collector is fed the physics model's contact
+ * events (recordStatsEvent) and the same ~10 Hz position samples main.js
+ * stores as replay frames (sampleStats), and keeps per player:
+ *   possession – samples in which the player was the nearest to the ball
+ *   touches – ball touches, kicks included
+ *   shots / shotsOnTarget – kicks towards the opponent's goal from their
+ *     half; a shot is on target if its flight reaches the goal line below
+ *     the crossbar (see isShotOnTarget)
+ *   distance – metres run, summed between samples
+ *   abilities / superJumps – special moves used, and super‑jumps among them
+ *   heatmap – samples per cell of a HEATMAP_COLS × HEATMAP_ROWS grid over
+ *     the pitch
+ * Player ids are the keys used by the physics model and the snapshots.
+ */
+
+export const HEATMAP_COLS = 20;
+export const HEATMAP_ROWS = 10;
+
+// Empty statistics for the players with `ids`.
+export function createMatchStats(ids) {
+  const players = {};
+  ids.forEach((id) => {
+    players[id] = {
+      possession: 0,
+      touches: 0,
+      shots: 0,
+      shotsOnTarget: 0,
+      distance: 0,
+      abilities: 0,
+      superJumps: 0,
+      heatmap: new Array(HEATMAP_COLS * HEATMAP_ROWS).fill(0)
+    };
+  });
+  return { samples: 0, players, lastPositions: {} };
+}
+
+// Count a contact event (see tickEvents in physics.js). `arena` is the
+// resolved arena at the time of the event; its spawn points tell which
+// goal each player attacks.
+export function recordStatsEvent(stats, event, arena) {
+  const player = stats.players[event.playerId];
+  if (!player) return;
+  if (event.type === 'ability') {
+    player.abilities += 1;
+    if (event.ability === 'superJump') player.superJumps += 1;
+  } else if (event.type === 'ballTouch') {
+    player.touches += 1;
+    if (event.kick && event.ball) {
+      const dir = arena.spawns.players[event.playerId].x < arena.width / 2 ? 1 : -1;
+      const ball = event.ball;
+      const inOpponentHalf = (ball.x - arena.width / 2) * dir > 0;
+      if (inOpponentHalf && ball.vx * dir > 0) {
+        player.shots += 1;
+        if (isShotOnTarget(ball, dir, arena)) player.shotsOnTarget += 1;
+      }
+    }
+  }
+}
+
+// Whether a ball struck from (x, y) with velocity (vx, vy) towards the goal
+// in direction `dir` crosses that goal line below the crossbar. The flight
+// is a plain parabola under arena gravity; a ball that lands first is
+// counted as on target, since it arrives bouncing or rolling.
+export function isShotOnTarget(ball, dir, arena) {
+  const lineX = dir > 0 ? arena.width - arena.goal.depth : arena.goal.depth;
+  const t = (lineX - ball.x) / ball.vx;
+  if (t < 0) return false;
+  const y = ball.y + ball.vy * t + 0.5 * arena.gravity * t * t;
+  return y < arena.goal.height;
+}
+
+// Add one position sample. `sample` has the shape of a replay frame:
+// { ball: { x, y }, players: { [id]: { x, y } } }.
+export function sampleStats(stats, sample, arena) {
+  stats.samples += 1;
+  let nearest = null;
+  let nearestDist = Infinity;
+  for (const id in stats.players) {
+    const pos = sample.players[id];
+    if (!pos) continue;
+    const player = stats.players[id];
+    const dist = Math.hypot(pos.x - sample.ball.x, pos.y - sample.ball.y);
+    if (dist < nearestDist) {
+      nearestDist = dist;
+      nearest = player;
+    }
+    const last = stats.lastPositions[id];
+    if (last) player.distance += Math.hypot(pos.x - last.x, pos.y - last.y);
+    stats.lastPositions[id] = { x: pos.x, y: pos.y };
+    const col = Math.min(HEATMAP_COLS - 1, Math.max(0, Math.floor(pos.x / arena.width * HEATMAP_COLS)));
+    const row = Math.min(HEATMAP_ROWS - 1, Math.max(0, Math.floor(pos.y / arena.height * HEATMAP_ROWS)));
+    player.heatmap[row * HEATMAP_COLS + col] += 1;
+  }
+  if (nearest) nearest.possession += 1;
+}
+
+// Forget the last positions, so that a jump (a kickoff reset or the
+// teams switching ends) does not count as distance run.
+export function breakStatsSamples(stats) {
+  stats.lastPositions = {};
+}
+
+// Final figures for the results screen and the replay record, per player:
+// { possession (percent), touches, shots, shotsOnTarget, distance (metres,
+// rounded), abilities, superJumps, heatmap }.
+export function summarizeStats(stats) {
+  const total = Object.values(stats.players).reduce((sum, p) => sum + p.possession, 0);
+  const summary = {};
+  for (const id in stats.players) {
+    const p = stats.players[id];
+    summary[id] = {
+      possession: total > 0 ? Math.round(p.possession / total * 100) : 0,
+      touches: p.touches,
+      shots: p.shots,
+      shotsOnTarget: p.shotsOnTarget,
+      distance: Math.round(p.distance),
+      abilities: p.abilities,
+      superJumps: p.superJumps,
+      heatmap: p.heatmap.slice()
+    };
+  }
+  return summary;
+}
@@ -10,7 +10,7 @@
 // Bump the cache version whenever assets or service worker logic changes. The
 // CACHE_VERSION string is appended to the cache name. Changing it forces
 // browsers to drop old caches on the next activation.
-const CACHE_VERSION = 'v2';
+const CACHE_VERSION = 'v20';
 const CACHE_NAME = 'arcade-football-cache-' + CACHE_VERSION;
 const PRECACHE_URLS = [
   '/',
@@ -18,6 +18,18 @@ const PRECACHE_URLS = [
   'style.css',
   'main.js',
   'physicsWorker.js',
+  'physics.js',
+  'rules.js',
+  'ai.js',
+  'adaptive.js',
+  'abilities.js',
+  'cup.js',
+  'profile.js',
+  'stats.js',
+  'teams.js',
+  'training.js',
+  'trajectory.js',
+  'snapshot.js',
   'manifest.json',
   'sw.js',
   'icons/icon-192.png',
@@ -27,8 +39,14 @@ const PRECACHE_URLS = [
   'https://cdn.jsdelivr.net/npm/pixi.js@8.0.0/dist/pixi.min.js',
   'https://cdn.jsdelivr.net/npm/@rive-app/canvas@2.25.2/rive.min.js',
   'https://cdn.jsdelivr.net/npm/box2d-wasm@7.0.0/dist/umd/Box2D.js',
-  'https://cdn.jsdelivr.net/npm/box2d-wasm@7.0.0/dist/umd/Box2D.wasm'
-  ,
+  'https://cdn.jsdelivr.net/npm/box2d-wasm@7.0.0/dist/umd/Box2D.wasm',
+  // ES build imported by the module physics worker. entry.js picks the
+  // SIMD or plain build at runtime, so both are cached.
+  'https://cdn.jsdelivr.net/npm/box2d-wasm@7.0.0/dist/es/entry.js',
+  'https://cdn.jsdelivr.net/npm/box2d-wasm@7.0.0/dist/es/Box2D.js',
+  'https://cdn.jsdelivr.net/npm/box2d-wasm@7.0.0/dist/es/Box2D.wasm',
+  'https://cdn.jsdelivr.net/npm/box2d-wasm@7.0.0/dist/es/Box2D.simd.js',
+  'https://cdn.jsdelivr.net/npm/box2d-wasm@7.0.0/dist/es/Box2D.simd.wasm',
   // Generated character textures used for selectable avatars
   'assets/characters/player1.png',
   'assets/characters/player2.png',
@@ -0,0 +1,88 @@
+/*
+ * Team rosters. A match has two teams, 'left' and 'right' (the halves
+ * they kick off in), of TEAM_SIZES players each. Every player has:
+ *   id – the key used by the physics model, snapshots and inputs; the left
+ *     team has the odd ids and the right team the even ones, so 1v1 keeps
+ *     ids 1 and 2
+ *   team – 'left' or 'right'
+ *   role – 'attacker' or 'defender' (see ROLES); it sets the kickoff spot
+ *     and, for the AI, how far up the pitch it plays (see updateAI)
+ *   human – the human controlling the player: 1 or 2 (which keys and touch
+ *     pad drive it), or null for the AI
+ *
+ * rosterArena() turns a roster into the arena overrides the physics model
+ * needs: a spawn point and a special move per player.
+ */
+
+import { SNAPSHOT_MAX_PLAYERS } from './snapshot.js';
+
+export const TEAM_SIZES = [1, 2];
+// Every team has at most as many players as fit into half a snapshot.
+export const MAX_TEAM_SIZE = SNAPSHOT_MAX_PLAYERS / 2;
+export const ROLES = ['attacker', 'defender'];
+export const ROLE_LABELS = { attacker: 'нападающий', defender: 'защитник' };
+
+// Kickoff spots as fractions of the pitch width, measured from the team's
+// own wall: attackers line up where the single player of 1v1 does,
+// defenders in front of their goal.
+const SPAWN_FRACTION = { attacker: 0.2, defender: 0.12 };
+
+// Build the roster for `teamSize` players per team (clamped to
+// 1..MAX_TEAM_SIZE). `humans` lists the humans by team:
+//   { left: [1], right: [] } – one human against the AI (the default)
+//   { left: [1], right: [2] } – hot‑seat, one human on each team
+//   { left: [1, 2], right: [] } – two humans together against the AI
+// Humans take the first places of their team, starting with the attacker.
+// The first player of every team is the attacker and the rest defend.
+export function createRoster(teamSize = 1, humans = { left: [1], right: [] }) {
+  const size = Math.min(Math.max(1, teamSize | 0), MAX_TEAM_SIZE);
+  const roster = [];
+  for (let slot = 0; slot < size; slot++) {
+    ['left', 'right'].forEach((team, t) => {
+      const human = (humans[team] || [])[slot];
+      roster.push({
+        id: slot * 2 + t + 1,
+        team,
+        role: slot === 0 ? 'attacker' : 'defender',
+        human: human === undefined ? null : human
+      });
+    });
+  }
+  return roster;
+}
+
+// Players of `team`, attacker first.
+export function teamPlayers(roster, team) {
+  return roster.filter((p) => p.team === team);
+}
+
+// Player of `roster` controlled by human `human` (1 or 2), or undefined.
+export function humanPlayer(roster, human) {
+  return roster.find((p) => p.human === human);
+}
+
+// The players taking and saving a penalty of a shootout: the `team`'s
+// players take its penalties in turn, attacker first, and the other team's
+// last player (its defender from 2v2 on) keeps goal. `taken` is the number
+// of penalties the team has taken so far. Returns { shooter, keeper } ids.
+export function penaltyPair(roster, team, taken) {
+  const shooters = teamPlayers(roster, team);
+  const keepers = teamPlayers(roster, team === 'left' ? 'right' : 'left');
+  return { shooter: shooters[taken % shooters.length].id, keeper: keepers[keepers.length - 1].id };
+}
+
+// Arena overrides for `roster` on a pitch `width` metres wide: a kickoff
+// spot for every player (see SPAWN_FRACTION; players of one role on a team
+// stand a little apart) and the special move of each player, given by
+// `abilityOf(player)`.
+export function rosterArena(roster, width, abilityOf) {
+  const players = {};
+  const abilities = {};
+  roster.forEach((p) => {
+    const sameRole = roster.filter((q) => q.team === p.team && q.role === p.role);
+    const fromWall = width * SPAWN_FRACTION[p.role] - sameRole.indexOf(p) * 0.6;
+    players[p.id] = { x: p.team === 'left' ? fromWall : width - fromWall, y: 1 };
+    abilities[p.id] = abilityOf(p);
+  });
+  return { spawns: { players }, abilities };
+}
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { aiProfiles } from '../ai.js';
+import { HISTORY_MATCHES, MAX_SKILL, adaptiveLevelName, adaptiveProfile, advanceAdaptive, createAdaptiveRecord, finishAdaptive, restoreAdaptiveRecord, shotQuality, startAdaptive } from '../adaptive.js';
+
+describe('adaptive AI', () => {
+  it('blends the profiles of the levels either side of the skill', () => {
+    expect(adaptiveProfile(2)).toEqual(aiProfiles.Pro);
+    expect(adaptiveProfile(MAX_SKILL + 3)).toEqual(aiProfiles.Legend);
+    const between = adaptiveProfile(2.5);
+    expect(between.reactionTime).toBeCloseTo((aiProfiles.Pro.reactionTime + aiProfiles.Elite.reactionTime) / 2);
+    expect(between.aimError).toBeCloseTo(7.5);
+    expect(between.abilityUse).toBeGreaterThan(aiProfiles.Pro.abilityUse);
+    expect(adaptiveLevelName(2.6)).toBe('Elite');
+    expect(shotQuality(0, 0)).toBe(0.5);
+    expect(shotQuality(4, 4)).toBeGreaterThan(shotQuality(4, 1));
+  });
+
+  it('moves the skill gradually with the goal difference and shot quality', () => {
+    const run = startAdaptive(createAdaptiveRecord());
+    expect(run.skill).toBe(1);
+    // Two goals up with the better shots: the AI gets harder, but not at
+    // once
+    advanceAdaptive(run, 2, 0.2, 10000);
+    expect(run.target).toBeCloseTo(2.2);
+    expect(run.skill).toBeCloseTo(1.2);
+    for (let t = 0; t < 120; t++) advanceAdaptive(run, 2, 0.2, 1000);
+    expect(run.skill).toBeCloseTo(2.2);
+    // Falling behind brings it back down, never below Rookie
+    for (let t = 0; t < 300; t++) advanceAdaptive(run, -4, -0.3, 1000);
+    expect(run.skill).toBe(0);
+  });
+
+  it('starts the next match from the last skill and recent form', () => {
+    const record = createAdaptiveRecord();
+    for (let m = 0; m < HISTORY_MATCHES + 2; m++) {
+      const run = startAdaptive(record);
+      advanceAdaptive(run, 3, 0, 60000);
+      finishAdaptive(record, run, 3);
+    }
+    expect(record.history).toEqual(new Array(HISTORY_MATCHES).fill(3));
+    expect(startAdaptive(record).skill).toBe(MAX_SKILL);
+    // A winning streak starts above where the last match ended.
+    const streak = startAdaptive({ skill: 2, history: [2, 2] });
+    expect(streak.skill).toBeCloseTo(2.5);
+    expect(restoreAdaptiveRecord(JSON.parse(JSON.stringify(record)))).toEqual(record);
+  });
+
+  it('counts recent form once, without drifting on later draws', () => {
+    const record = { skill: 2, history: [3] };
+    const starts = [];
+    for (let m = 0; m < HISTORY_MATCHES; m++) {
+      const run = startAdaptive(record);
+      starts.push(run.skill);
+      // A goalless draw with even shooting leaves the skill where it started
+      advanceAdaptive(run, 0, 0, 60000);
+      expect(run.skill).toBe(run.base);
+      finishAdaptive(record, run, 0);
+      expect(record.skill).toBe(2);
+    }
+    // The win weighs less with every draw after it, until it drops out.
+    expect(starts[0]).toBeCloseTo(2.75);
+    starts.slice(1).forEach((skill, i) => expect(skill).toBeLessThan(starts[i]));
+    expect(startAdaptive(record).skill).toBe(2);
+    expect(restoreAdaptiveRecord({ skill: 'high' })).toEqual(createAdaptiveRecord());
+    expect(restoreAdaptiveRecord(null)).toEqual(createAdaptiveRecord());
+  });
+});
@@ -1,14 +1,6 @@
 import { describe, it, expect } from 'vitest';
-
-// The AI profiles are defined in main.js; here we re‑create a minimal
-// representation to demonstrate how unit tests can validate simple data.
-const aiProfiles = {
-  Rookie:  { reactionTime: 0.30, aimError: 15 },
-  Amateur: { reactionTime: 0.25, aimError: 12 },
-  Pro:     { reactionTime: 0.20, aimError: 9  },
-  Elite:   { reactionTime: 0.15, aimError: 6  },
-  Legend:  { reactionTime: 0.12, aimError: 3  }
-};
+import { aiProfiles, createAIMemory, createRng, decide, updateAI } from '../ai.js';
+import { DEFAULT_ARENA } from '../physics.js';
 
 describe('AI profiles', () => {
   it('should have five difficulty levels', () => {
@@ -17,5 +9,79 @@ describe('AI profiles', () => {
   it('higher difficulty should react faster than lower difficulty', () => {
     expect(aiProfiles.Pro.reactionTime).toBeLessThan(aiProfiles.Rookie.reactionTime);
     expect(aiProfiles.Legend.aimError).toBeLessThan(aiProfiles.Amateur.aimError);
+    expect(aiProfiles.Elite.horizon).toBeGreaterThan(aiProfiles.Rookie.horizon);
+    expect(aiProfiles.Elite.noise).toBeLessThan(aiProfiles.Rookie.noise);
+  });
+});
+
+describe('AI roles', () => {
+  it('sends a defender back while the ball is in the other half', () => {
+    const state = {
+      ball: { x: 7, y: 0.3, vx: 0, vy: 0 },
+      1: { x: 4, y: 0.4, vx: 0, vy: 0, charge: 0, cooldown: 0 }
+    };
+    const steady = () => 0.5;
+    const attacker = updateAI(createAIMemory(), state, 1, DEFAULT_ARENA, aiProfiles.Legend, 16, steady);
+    expect(attacker.right).toBe(true);
+    const memory = createAIMemory('defender');
+    expect(updateAI(memory, state, 1, DEFAULT_ARENA, aiProfiles.Legend, 16, steady).left).toBe(true);
+    // Once the ball comes into its half the defender goes for it.
+    memory.decisionCountdown = 0;
+    state.ball.x = 4.5;
+    expect(updateAI(memory, state, 1, DEFAULT_ARENA, aiProfiles.Legend, 16, steady).right).toBe(true);
+  });
+});
+
+describe('AI behaviours', () => {
+  const player = (x, y = 0.4) => ({ x, y, vx: 0, vy: 0, charge: 0, cooldown: 0 });
+  const view = (ball, players) => ({ state: { ball: { vx: 0, vy: 0, ...ball }, ...players }, id: 1, arena: DEFAULT_ARENA });
+
+  it('decides the same for the same inputs and random seed', () => {
+    const seen = view({ x: 6, y: 1.2, vx: -3, vy: 2 }, { 1: player(4), 2: player(7) });
+    const run = () => {
+      const memory = createAIMemory();
+      const rng = createRng(9);
+      return [0, 1, 2].map(() => decide(seen, aiProfiles.Pro, memory, rng));
+    };
+    expect(run()).toEqual(run());
+  });
+
+  it('dribbles the ball at its feet, then shoots in range', () => {
+    const memory = createAIMemory();
+    const rng = createRng(1);
+    const input = decide(view({ x: 3.5, y: 0.11 }, { 1: player(3), 2: player(8) }), aiProfiles.Legend, memory, rng);
+    expect(memory.behaviour).toBe('dribble');
+    expect(input).toMatchObject({ right: true, kick: false });
+    const shot = decide(view({ x: 6.5, y: 0.11 }, { 1: player(6), 2: player(9) }), aiProfiles.Legend, memory, rng);
+    expect(memory.behaviour).toBe('shoot');
+    expect(shot.kick).toBe(true);
+  });
+
+  it('runs back goal-side of a ball that got past it', () => {
+    const memory = createAIMemory();
+    const rng = createRng(1);
+    const seen = view({ x: 3, y: 0.11, vx: -2 }, { 1: player(5), 2: player(3.5) });
+    expect(decide(seen, aiProfiles.Legend, memory, rng).left).toBe(true);
+    expect(memory.behaviour).toBe('recover');
+    // Still recovering until it is clearly goal-side again
+    seen.state[1].x = 3.1;
+    decide(seen, aiProfiles.Legend, memory, rng);
+    expect(memory.behaviour).toBe('recover');
+    seen.state[1].x = 2.5;
+    decide(seen, aiProfiles.Legend, memory, rng);
+    expect(memory.behaviour).toBe('intercept');
+  });
+
+  it('runs to where a lob comes down and times its jump', () => {
+    // The lob drops near x = 4; half a second of its speed only gets it to
+    // x = 5.
+    const lob = view({ x: 7, y: 3, vx: -4 }, { 1: player(4.5), 2: player(9) });
+    expect(decide(lob, aiProfiles.Legend, createAIMemory(), createRng(1))).toMatchObject({ left: true, jump: false });
+    // A ball coming down onto the player's head is jumped for only once a
+    // jump would meet it, not while it still climbs.
+    const high = view({ x: 5.1, y: 4, vy: 3 }, { 1: player(5), 2: player(9) });
+    expect(decide(high, aiProfiles.Legend, createAIMemory(), createRng(1)).jump).toBe(false);
+    Object.assign(high.state.ball, { y: 2.5, vy: 0 });
+    expect(decide(high, aiProfiles.Legend, createAIMemory(), createRng(1)).jump).toBe(true);
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { allMatchups, balanceCsv, parseSide, runBalance, sideLabel } from '../balance.js';
+
+describe('balance reports', () => {
+  it('reads sides of a level and an optional special move', () => {
+    expect(parseSide('Legend')).toEqual({ level: 'Legend', ability: 'superJump' });
+    expect(parseSide('Pro/dash')).toEqual({ level: 'Pro', ability: 'dash' });
+    expect(parseSide('Pro/fly')).toBe(null);
+    expect(parseSide('Godlike')).toBe(null);
+    expect(sideLabel(parseSide('Pro/dash'))).toBe('Pro/dash');
+    expect(allMatchups(['Rookie', 'Pro', 'Legend'].map(parseSide)).map(({ a, b }) => `${a.level}:${b.level}`))
+      .toEqual(['Rookie:Pro', 'Rookie:Legend', 'Pro:Legend']);
+  });
+
+  it('sums up a batch with the sides swapping ends', async () => {
+    const matchups = [{ a: parseSide('Elite'), b: parseSide('Rookie/dash') }];
+    const options = { matchups, matches: 4, rules: { periodMs: 5000, overtime: false, shootout: false } };
+    const report = await runBalance(options);
+    const [row] = report.rows;
+    expect(row).toMatchObject({ a: 'Elite', b: 'Rookie/dash', matches: 4, shootouts: 0 });
+    expect(row.winsA + row.winsB + row.draws).toBe(4);
+    expect(row.winRateA).toBe(row.winsA / 4);
+    expect(row.goalDiff).toBe((row.goalsA - row.goalsB) / 4);
+    expect(await runBalance(options)).toEqual(report);
+    const csv = balanceCsv(report).trim().split('\n');
+    expect(csv[0]).toBe('a,b,matches,winsA,winsB,draws,winRateA,winRateB,goalsA,goalsB,goalDiff,shootouts');
+    expect(csv[1].startsWith(`Elite,Rookie/dash,4,${row.winsA},${row.winsB},${row.draws},`)).toBe(true);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { CUP_FINAL_RULES, CUP_RULES, createCup, cupRules, playerFixture, recordCupMatch } from '../cup.js';
+
+describe('cup', () => {
+  it('takes the player through to the final and crowns them', () => {
+    const cup = createCup(5);
+    expect(cupRules(cup)).toBe(CUP_RULES);
+    expect(recordCupMatch(cup, 2, 0)).toBe('advanced');
+    expect(recordCupMatch(cup, 1, 0)).toBe('advanced');
+    expect(cupRules(cup)).toBe(CUP_FINAL_RULES);
+    expect(recordCupMatch(cup, 3, 2)).toBe('champion');
+    expect(cup.champion).toBe(0);
+    expect(playerFixture(cup)).toBe(null);
+  });
+
+  it('replays a drawn tie and completes the cup after an exit', () => {
+    const cup = createCup(5);
+    expect(recordCupMatch(cup, 1, 1)).toBe('replay');
+    expect(playerFixture(cup)).not.toBe(null);
+    expect(recordCupMatch(cup, 0, 1)).toBe('eliminated');
+    expect(cup.rounds).toHaveLength(3);
+    expect(cup.champion).not.toBe(null);
+    expect(cup.champion).not.toBe(0);
+  });
+
+  it('decides a drawn final on penalties', () => {
+    expect(CUP_FINAL_RULES.shootout).toBe(true);
+    const won = createCup(5);
+    recordCupMatch(won, 2, 0);
+    recordCupMatch(won, 1, 0);
+    expect(recordCupMatch(won, 1, 1, true)).toBe('champion');
+    expect(won.rounds[2][0]).toMatchObject({ scoreHome: 1, scoreAway: 1, winner: 0, penalties: true });
+    const lost = createCup(5);
+    recordCupMatch(lost, 2, 0);
+    recordCupMatch(lost, 1, 0);
+    expect(recordCupMatch(lost, 2, 2, false)).toBe('eliminated');
+    const final = lost.rounds[2][0];
+    expect(final.winner).toBe(final.home === 0 ? final.away : final.home);
+    expect(lost.champion).toBe(final.winner);
+  });
+
+  it('gives the same quick results for the same seed', () => {
+    const a = createCup(9);
+    const b = createCup(9);
+    recordCupMatch(a, 0, 2);
+    recordCupMatch(b, 0, 2);
+    expect(b).toEqual(a);
+  });
+});
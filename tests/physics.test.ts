@@ -0,0 +1,164 @@
+import { describe, it, expect } from 'vitest';
+import { loadBox2D } from '../simulate.js';
+import { DEFAULT_ARENA, createPhysics, mergeConfig } from '../physics.js';
+import { ABILITIES, CHARGE_START } from '../abilities.js';
+
+// Step a fresh world for `ticks` ticks while player 1 asks for its special
+// move on every tick, and return the ability events.
+async function spamAbility(name: string, ticks: number) {
+  const Module = await loadBox2D();
+  const arena = mergeConfig(DEFAULT_ARENA, { abilities: { 1: name } });
+  const used: any[] = [];
+  const physics = createPhysics(Module, arena, (message: any) => {
+    if (message.type === 'events') {
+      used.push(...message.events.filter((e: any) => e.type === 'ability'));
+    }
+  });
+  for (let t = 1; t <= ticks; t++) {
+    physics.queueInput({ id: '1', tick: t, input: { ability: true } });
+    physics.step();
+  }
+  physics.destroy();
+  return used;
+}
+
+// Feed a fresh world a tick-tagged input stream for `ticks` ticks: before
+// step t, player 1 gets `stream(t)` ({ tick, input }) and player 2 a fixed
+// run to the left. Returns the saved state and the late inputs reported.
+async function playStream(stream: (t: number) => { tick: number; input: any }, ticks: number) {
+  const Module = await loadBox2D();
+  const arena = mergeConfig(DEFAULT_ARENA, {});
+  const late: any[] = [];
+  const physics = createPhysics(Module, arena, (message: any) => {
+    if (message.type === 'lateInput') late.push(message);
+  });
+  for (let t = 1; t <= ticks; t++) {
+    physics.queueInput({ id: '1', ...stream(t) });
+    physics.queueInput({ id: '2', tick: t, input: { left: t % 90 < 45 } });
+    physics.step();
+  }
+  const state = physics.saveState();
+  physics.destroy();
+  return { state, late };
+}
+
+describe('kickoff', () => {
+  it('holds play during the countdown and then releases held buttons', async () => {
+    const Module = await loadBox2D();
+    const arena = mergeConfig(DEFAULT_ARENA, {});
+    const events: any[] = [];
+    const physics = createPhysics(Module, arena, (message: any) => {
+      if (message.type === 'events') events.push(...message.events);
+    });
+    const startX = physics.bodies[1].GetPosition().get_x();
+    physics.queueInput({ id: '1', tick: 1, input: { right: true, ability: true, kick: true } });
+    for (let t = 0; t < DEFAULT_ARENA.kickoff.countdownTicks; t++) physics.step();
+    expect(physics.bodies[1].GetPosition().get_x()).toBe(startX);
+    expect(events.some((e) => e.type === 'ability')).toBe(false);
+    expect(physics.phase).toBe('live');
+    for (let t = 0; t < 30; t++) physics.step();
+    expect(physics.bodies[1].GetPosition().get_x()).toBeGreaterThan(startX);
+    physics.destroy();
+  });
+});
+
+describe('abilities', () => {
+  it('enforces the cooldown however often the move is requested', async () => {
+    const used = await spamAbility('dash', 600);
+    // 5 s at 120 Hz: one use at the start, then one per cooldown at most.
+    expect(used.length).toBeGreaterThan(0);
+    expect(used.length).toBeLessThanOrEqual(1 + Math.floor(600 / ABILITIES.dash.cooldownTicks));
+  });
+
+  it('needs enough charge', async () => {
+    expect(ABILITIES.powerShot.cost).toBeGreaterThan(CHARGE_START);
+    const used = await spamAbility('powerShot', 60);
+    expect(used.length).toBe(0);
+  });
+});
+
+describe('shootout', () => {
+  it('keeps players who neither shoot nor keep still', async () => {
+    const Module = await loadBox2D();
+    const arena = mergeConfig(DEFAULT_ARENA, {
+      spawns: { players: { 3: { x: 3, y: 1 } } },
+      abilities: { 3: 'dash' }
+    });
+    const used: any[] = [];
+    const physics = createPhysics(Module, arena, (message: any) => {
+      if (message.type === 'events') {
+        used.push(...message.events.filter((e: any) => e.type === 'ability'));
+      }
+    });
+    physics.startPenalty(1, 2);
+    const start = physics.bodies[3].GetPosition().get_x();
+    const ticks = arena.shootout.countdownTicks + 120;
+    for (let t = 1; t <= ticks; t++) {
+      physics.queueInput({ id: '3', tick: t, input: { ability: true, kick: true } });
+      physics.step();
+    }
+    expect(physics.phase).toBe('live');
+    expect(used).toEqual([]);
+    expect(physics.bodies[3].GetPosition().get_x()).toBe(start);
+    physics.destroy();
+  });
+});
+
+describe('saved state', () => {
+  it('keeps the ends the teams play towards across a period change', async () => {
+    const Module = await loadBox2D();
+    const home = DEFAULT_ARENA.spawns.players;
+    const first = mergeConfig(DEFAULT_ARENA, {});
+    const physics = createPhysics(Module, first, () => {});
+    const before = physics.saveState();
+    physics.switchSides();
+    const after = JSON.parse(JSON.stringify(physics.saveState()));
+    // A fresh world picks up the switched ends from the state...
+    const second = mergeConfig(DEFAULT_ARENA, {});
+    const copy = createPhysics(Module, second, () => {});
+    copy.loadState(after);
+    expect(second.spawns.players[1].x).toBe(DEFAULT_ARENA.width - home[1].x);
+    expect(second.spawns).toEqual(first.spawns);
+    // ...and the next period change sends both back to where they started.
+    physics.switchSides();
+    copy.switchSides();
+    expect(second.spawns).toEqual(DEFAULT_ARENA.spawns);
+    expect(first.spawns).toEqual(DEFAULT_ARENA.spawns);
+    // Going back to before the first change undoes it.
+    physics.switchSides();
+    physics.loadState(before);
+    expect(first.spawns).toEqual(DEFAULT_ARENA.spawns);
+    physics.destroy();
+    copy.destroy();
+  });
+});
+
+describe('determinism', () => {
+  // Every seventh input is tagged a few ticks in the past, as when the
+  // main thread falls behind the worker.
+  const stream = (t: number) => ({
+    tick: t % 7 === 0 ? t - 4 : t,
+    input: { right: t % 120 < 80, jump: t % 50 === 0, kick: t % 30 === 0 }
+  });
+
+  it('gives identical worlds for the same input stream, late inputs included', async () => {
+    const a = await playStream(stream, 900);
+    const b = await playStream(stream, 900);
+    expect(b.state).toEqual(a.state);
+    expect(a.late).toHaveLength(Math.floor(900 / 7));
+    expect(a.late[0]).toEqual({ type: 'lateInput', id: '1', tick: 3, appliedTick: 7 });
+  });
+
+  it('reports late inputs so that the simulated stream can be replayed', async () => {
+    const live = await playStream(stream, 900);
+    // Re-tag the late inputs, in the order they were reported, with the
+    // tick they were applied on.
+    const reports = [...live.late];
+    const replay = await playStream((t) => {
+      const sent = stream(t);
+      return sent.tick < t ? { ...sent, tick: reports.shift().appliedTick } : sent;
+    }, 900);
+    expect(replay.late).toEqual([]);
+    expect(replay.state).toEqual(live.state);
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { PROFILE_VERSION, createProfile, isUnlocked, levelForXp, migrateProfile, recordMatchResult } from '../profile.js';
+
+describe('profile', () => {
+  it('levels up on XP and unlocks items by level and achievement', () => {
+    expect(levelForXp(0)).toEqual({ level: 1, into: 0, needed: 100 });
+    expect(levelForXp(250).level).toBe(2);
+    const profile = createProfile();
+    expect(isUnlocked(profile, 'avatar', 2)).toBe(false);
+    const change = recordMatchResult(profile, { goalsFor: 3, goalsAgainst: 1, aiLevel: 'Pro' });
+    expect(change.xp).toBe(20 + 30 + 50 + 50);
+    expect(change.levelUp).toBe(true);
+    expect(change.achievements).toEqual(['firstWin', 'hatTrick']);
+    expect(isUnlocked(profile, 'avatar', 2)).toBe(true);
+    expect(isUnlocked(profile, 'avatar', 4)).toBe(true);
+    expect(isUnlocked(profile, 'kit', 'gold')).toBe(true);
+    expect(isUnlocked(profile, 'ball', 'fire')).toBe(false);
+  });
+
+  it('migrates stored data and keeps fields from newer versions', () => {
+    expect(migrateProfile(null)).toEqual(createProfile());
+    expect(migrateProfile('junk')).toEqual(createProfile());
+    const old = migrateProfile({ name: 'Аня', xp: 150, selected: { avatar: 5 } });
+    expect(old.version).toBe(PROFILE_VERSION);
+    expect(old.name).toBe('Аня');
+    expect(isUnlocked(old, 'avatar', 2)).toBe(true);
+    // Avatar 5 is not unlocked yet, so the selection falls back.
+    expect(old.selected.avatar).toBe(0);
+    const newer = migrateProfile({ ...createProfile(), version: PROFILE_VERSION + 1, trophies: 3 });
+    expect(newer.version).toBe(PROFILE_VERSION + 1);
+    expect(newer.trophies).toBe(3);
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it, expect } from 'vitest';
+import { simulateMatch } from '../simulate.js';
+import { DEFAULT_ARENA } from '../physics.js';
+import { advanceClock, createMatch, createSeries, matchWinner, recordGame, recordGoal, recordPenalty, scoringTeam, seriesWinner, shootoutKicker, shootoutTally } from '../rules.js';
+
+// Headless matches run the real physics, rules and AI with the local
+// box2d-wasm build. Short periods keep the suite fast.
+describe('simulateMatch', () => {
+  it('is deterministic for a given seed', async () => {
+    const options = { aiLevelLeft: 'Pro', aiLevelRight: 'Amateur', seed: 42, durationMs: 15000 };
+    const a = await simulateMatch(options);
+    const b = await simulateMatch(options);
+    expect(b).toEqual(a);
+  });
+
+  it('logs one goal event per goal on the scoreboard', async () => {
+    const result = await simulateMatch({ aiLevelLeft: 'Legend', aiLevelRight: 'Rookie', seed: 3, durationMs: 30000 });
+    const goals = result.events.filter((e) => e.type === 'goal');
+    expect(goals.filter((g) => g.scorer === 'left').length).toBe(result.scoreLeft);
+    expect(goals.filter((g) => g.scorer === 'right').length).toBe(result.scoreRight);
+    expect(result.events.some((e) => e.type === 'ballTouch')).toBe(true);
+  });
+
+  it('plays 2v2 with attackers and defenders on both teams', async () => {
+    const result = await simulateMatch({ seed: 3, durationMs: 20000, teamSize: 2 });
+    const touchers = new Set(result.events.filter((e) => e.type === 'ballTouch').map((e) => e.playerId));
+    expect([...touchers].sort()).toEqual([1, 2, 3, 4]);
+    // Goals are credited to teams, whoever of the two scored them.
+    const goals = result.events.filter((e) => e.type === 'goal');
+    expect(goals.length).toBe(result.scoreLeft + result.scoreRight);
+  });
+
+  it('ends on the clock or with a golden goal', async () => {
+    const result = await simulateMatch({ seed: 1, durationMs: 5000 });
+    const overtimeGoals = result.events.filter((e) => e.type === 'goal' && e.overtime);
+    if (result.overtime) {
+      expect(overtimeGoals.length).toBeLessThanOrEqual(1);
+    } else {
+      expect(result.scoreLeft).not.toBe(result.scoreRight);
+      // 5 s of live play at 120 Hz, give or take the rounding of the tick
+      // length, plus the opening countdown and a celebration and countdown
+      // after every goal, during which the clock stops.
+      const { countdownTicks, celebrationTicks } = DEFAULT_ARENA.kickoff;
+      const goals = result.scoreLeft + result.scoreRight;
+      const stoppage = countdownTicks + goals * (celebrationTicks + countdownTicks);
+      expect(Math.abs(result.ticks - stoppage - 600)).toBeLessThanOrEqual(1);
+    }
+  });
+
+  it('switches ends at half time and credits goals to teams', async () => {
+    const result = await simulateMatch({
+      aiLevelLeft: 'Legend',
+      aiLevelRight: 'Rookie',
+      seed: 3,
+      rules: { periodMs: 15000, periods: 2, overtime: false }
+    });
+    expect(result.events.filter((e) => e.type === 'period')).toHaveLength(1);
+    const goals = result.events.filter((e) => e.type === 'goal');
+    expect(goals.filter((g) => g.scorer === 'left').length).toBe(result.scoreLeft);
+    expect(goals.filter((g) => g.scorer === 'right').length).toBe(result.scoreRight);
+  });
+
+  it('settles a level match with a penalty shootout', async () => {
+    const result = await simulateMatch({ seed: 2, teamSize: 2, rules: { periodMs: 10, overtime: false, shootout: true } });
+    expect(result.scoreLeft).toBe(result.scoreRight);
+    expect(result.endReason).toBe('shootout');
+    expect(result.winner).toBe(result.shootout.winner);
+    const penalties = result.events.filter((e) => e.type === 'penalty');
+    expect(penalties.map((p) => ({ team: p.team, scored: p.scored }))).toEqual(result.shootout.kicks);
+    // The teams' players take their penalties in turn against the other
+    // team's defender.
+    expect(penalties.slice(0, 4).map((p) => [p.shooter, p.keeper])).toEqual([[1, 4], [2, 3], [3, 4], [4, 3]]);
+  });
+});
+
+describe('match rules', () => {
+  it('goes to golden-goal overtime on a level score', () => {
+    const match = createMatch({ periodMs: 1000, overtimeMs: 500 });
+    expect(advanceClock(match, 1000)).toBe('overtime');
+    expect(match.overtime).toBe(true);
+    expect(recordGoal(match, 'right')).toBe(true);
+    expect(match.finished).toBe(true);
+  });
+
+  it('ends after the main period when a side leads', () => {
+    const match = createMatch({ periodMs: 1000 });
+    recordGoal(match, 'left');
+    expect(advanceClock(match, 1000)).toBe('end');
+    expect(match.overtime).toBe(false);
+  });
+
+  it('ends level when overtime is off', () => {
+    const match = createMatch({ periodMs: 1000, overtime: false });
+    expect(advanceClock(match, 1000)).toBe('end');
+    expect(match.endReason).toBe('time');
+  });
+
+  it('goes to penalties on a level score and decides them', () => {
+    const match = createMatch({ periodMs: 1000, overtime: false, shootout: true });
+    expect(advanceClock(match, 1000)).toBe('shootout');
+    expect(advanceClock(match, 1000)).toBe(null);
+    // Left scores three, right misses three: 3:0 with two left for each
+    // side cannot be caught.
+    for (let i = 0; i < 6; i++) {
+      expect(shootoutKicker(match)).toBe(i % 2 === 0 ? 'left' : 'right');
+      expect(recordPenalty(match, i % 2 === 0)).toBe(i === 5);
+    }
+    expect(match.endReason).toBe('shootout');
+    expect(matchWinner(match)).toBe('left');
+    expect(shootoutTally(match, 'right')).toEqual([false, false, false]);
+  });
+
+  it('plays sudden death after five penalties each', () => {
+    const match = createMatch({ periodMs: 1000, overtime: false, shootout: true });
+    advanceClock(match, 1000);
+    for (let i = 0; i < 10; i++) expect(recordPenalty(match, true)).toBe(false);
+    // The left team scoring first decides nothing until the right has
+    // answered.
+    expect(recordPenalty(match, true)).toBe(false);
+    expect(recordPenalty(match, true)).toBe(false);
+    expect(recordPenalty(match, false)).toBe(false);
+    expect(recordPenalty(match, true)).toBe(true);
+    expect(matchWinner(match)).toBe('right');
+    expect(match.scoreLeft).toBe(match.scoreRight);
+  });
+
+  it('switches ends between periods', () => {
+    const match = createMatch({ periodMs: 1000, periods: 2 });
+    expect(advanceClock(match, 1000)).toBe('period');
+    expect(match.period).toBe(2);
+    expect(scoringTeam(match, 'left')).toBe('right');
+    expect(match.finished).toBe(false);
+  });
+
+  it('stops at the score limit and on the mercy rule', () => {
+    const firstTo = createMatch({ scoreLimit: 2 });
+    recordGoal(firstTo, 'left');
+    recordGoal(firstTo, 'right');
+    expect(recordGoal(firstTo, 'right')).toBe(true);
+    expect(firstTo.endReason).toBe('scoreLimit');
+    const mercy = createMatch({ mercyLead: 2 });
+    recordGoal(mercy, 'left');
+    expect(recordGoal(mercy, 'left')).toBe(true);
+    expect(mercy.endReason).toBe('mercy');
+  });
+
+  it('decides a series on wins, then on aggregate score', () => {
+    const game = (left, right) => ({ scoreLeft: left, scoreRight: right });
+    const series = createSeries({ bestOf: 3 });
+    expect(recordGame(series, game(2, 0))).toBe(false);
+    expect(recordGame(series, game(1, 1))).toBe(false);
+    expect(recordGame(series, game(0, 1))).toBe(true);
+    expect(seriesWinner(series)).toBe('left');
+    const swept = createSeries({ bestOf: 5 });
+    for (let i = 0; i < 3; i++) recordGame(swept, game(0, 1));
+    expect(swept.finished).toBe(true);
+    expect(seriesWinner(swept)).toBe('right');
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_ARENA } from '../physics.js';
+import { HEATMAP_COLS, breakStatsSamples, createMatchStats, isShotOnTarget, recordStatsEvent, sampleStats, summarizeStats } from '../stats.js';
+
+const arena = DEFAULT_ARENA;
+
+describe('stats', () => {
+  it('counts touches, shots towards the right goal and abilities', () => {
+    const stats = createMatchStats([1, 2]);
+    // Player 1 starts on the left and attacks the right goal.
+    const kick = (playerId, ball) => ({ type: 'ballTouch', playerId, impulse: 1, kick: 'ground', ball });
+    recordStatsEvent(stats, { type: 'ballTouch', playerId: 1, impulse: 0.5 }, arena);
+    recordStatsEvent(stats, kick(1, { x: 7, y: 0.3, vx: 8, vy: 1 }), arena);
+    recordStatsEvent(stats, kick(1, { x: 7, y: 0.3, vx: 8, vy: 12 }), arena);
+    // Own half, or away from the goal: not a shot.
+    recordStatsEvent(stats, kick(1, { x: 3, y: 0.3, vx: 8, vy: 1 }), arena);
+    recordStatsEvent(stats, kick(1, { x: 7, y: 0.3, vx: -8, vy: 1 }), arena);
+    recordStatsEvent(stats, kick(2, { x: 3, y: 0.3, vx: -8, vy: 1 }), arena);
+    recordStatsEvent(stats, { type: 'ability', playerId: 2, ability: 'superJump' }, arena);
+    recordStatsEvent(stats, { type: 'ability', playerId: 2, ability: 'dash' }, arena);
+    const summary = summarizeStats(stats);
+    expect(summary[1]).toMatchObject({ touches: 5, shots: 2, shotsOnTarget: 1, abilities: 0 });
+    expect(summary[2]).toMatchObject({ touches: 1, shots: 1, shotsOnTarget: 1, abilities: 2, superJumps: 1 });
+    expect(isShotOnTarget({ x: 9, y: 3, vx: 5, vy: 0 }, 1, arena)).toBe(false);
+  });
+
+  it('builds possession, distance and heatmaps from samples', () => {
+    const stats = createMatchStats([1, 2]);
+    const frame = (x1, x2, bx) => ({ ball: { x: bx, y: 0.2 }, players: { 1: { x: x1, y: 0.5 }, 2: { x: x2, y: 0.5 } } });
+    sampleStats(stats, frame(2, 8, 3), arena);
+    sampleStats(stats, frame(3, 8, 3), arena);
+    sampleStats(stats, frame(4, 7, 6.5), arena);
+    // A break (kickoff line‑up) is not counted as distance.
+    breakStatsSamples(stats);
+    sampleStats(stats, frame(1, 9, 5.5), arena);
+    const summary = summarizeStats(stats);
+    expect(summary[1].possession).toBe(50);
+    expect(summary[2].possession).toBe(50);
+    expect(summary[1].distance).toBe(2);
+    expect(summary[2].distance).toBe(1);
+    expect(summary[1].heatmap.reduce((a, b) => a + b, 0)).toBe(4);
+    // x = 2 m, y = 0.5 m lies in the second row from the bottom.
+    expect(summary[1].heatmap[HEATMAP_COLS + Math.floor(2 / arena.width * HEATMAP_COLS)]).toBe(1);
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_ARENA } from '../physics.js';
+import { MAX_TEAM_SIZE, createRoster, humanPlayer, penaltyPair, rosterArena, teamPlayers } from '../teams.js';
+
+describe('teams', () => {
+  it('keeps the 1v1 ids and kickoff spots', () => {
+    const roster = createRoster(1);
+    expect(roster).toEqual([
+      { id: 1, team: 'left', role: 'attacker', human: 1 },
+      { id: 2, team: 'right', role: 'attacker', human: null }
+    ]);
+    const arena = rosterArena(roster, DEFAULT_ARENA.width, () => 'dash');
+    expect(arena.spawns.players).toEqual(DEFAULT_ARENA.spawns.players);
+    expect(arena.abilities).toEqual({ 1: 'dash', 2: 'dash' });
+  });
+
+  it('builds 2v2 with humans together or apart and defenders behind', () => {
+    const coop = createRoster(2, { left: [1, 2], right: [] });
+    expect(teamPlayers(coop, 'left').map((p) => p.id)).toEqual([1, 3]);
+    expect(humanPlayer(coop, 2)).toMatchObject({ id: 3, role: 'defender' });
+    expect(teamPlayers(coop, 'right').every((p) => p.human === null)).toBe(true);
+    const hotSeat = createRoster(2, { left: [1], right: [2] });
+    expect(humanPlayer(hotSeat, 2)).toMatchObject({ id: 2, team: 'right', role: 'attacker' });
+    const { spawns } = rosterArena(coop, 10, () => 'superJump');
+    expect(spawns.players[3].x).toBeLessThan(spawns.players[1].x);
+    expect(spawns.players[4].x).toBeGreaterThan(spawns.players[2].x);
+    expect(createRoster(10)).toHaveLength(MAX_TEAM_SIZE * 2);
+  });
+
+  it('rotates penalty takers against the other team’s last player', () => {
+    expect(penaltyPair(createRoster(1), 'right', 3)).toEqual({ shooter: 2, keeper: 1 });
+    const roster = createRoster(2);
+    expect([0, 1, 2].map((taken) => penaltyPair(roster, 'left', taken))).toEqual([
+      { shooter: 1, keeper: 4 },
+      { shooter: 3, keeper: 4 },
+      { shooter: 1, keeper: 4 }
+    ]);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { loadBox2D } from '../simulate.js';
+import { DEFAULT_ARENA, createPhysics, mergeConfig } from '../physics.js';
+import { DRILLS, SERVE_DELAY_MS, advanceDrill, createDrillRun, drillArena, drillEvent, findDrill, recordDrillScore, serveBall } from '../training.js';
+
+describe('training', () => {
+  it('serves, scores zones and finishes after the last attempt', () => {
+    const drill = { ...findDrill('accuracy'), attempts: 2 };
+    const run = createDrillRun(drill);
+    expect(advanceDrill(run, SERVE_DELAY_MS - 1)).toBe(null);
+    expect(advanceDrill(run, 1)).toEqual(serveBall(drill.serves[0]));
+    // A goal in the other net ends the attempt without points.
+    expect(drillEvent(run, { type: 'touch' })).toBe(null);
+    expect(drillEvent(run, { type: 'goal', side: 'left', height: 1 })).toEqual({ points: 0, label: null, end: true });
+    expect(drillEvent(run, { type: 'goal', side: 'right', height: 1 })).toBe(null);
+    advanceDrill(run, SERVE_DELAY_MS);
+    expect(drillEvent(run, { type: 'goal', side: 'right', height: 1.3 })).toMatchObject({ points: 3, end: true });
+    expect(run.results).toEqual([0, 3]);
+    expect(run.finished).toBe(false);
+    expect(advanceDrill(run, SERVE_DELAY_MS)).toBe(null);
+    expect(run.finished).toBe(true);
+  });
+
+  it('counts juggling touches until the ball drops or time runs out', () => {
+    const drill = findDrill('juggling');
+    const run = createDrillRun(drill);
+    advanceDrill(run, SERVE_DELAY_MS);
+    drillEvent(run, { type: 'touch' });
+    drillEvent(run, { type: 'touch' });
+    expect(drillEvent(run, { type: 'ground' })).toMatchObject({ end: true });
+    advanceDrill(run, SERVE_DELAY_MS);
+    drillEvent(run, { type: 'touch' });
+    advanceDrill(run, drill.attemptMs);
+    expect(run.live).toBe(false);
+    expect(run.results).toEqual([2, 1]);
+    const bests = {};
+    expect(recordDrillScore(bests, drill.id, run.score)).toBe(true);
+    expect(recordDrillScore(bests, drill.id, 2)).toBe(false);
+    expect(bests).toEqual({ juggling: 3 });
+  });
+
+  it('only lets the shots of the defending drill score on their own', async () => {
+    // Every serve is flown with nobody on the pitch: the launcher alone
+    // must never score in the drill's goal, except when the drill is about
+    // keeping its shots out.
+    const Module = await loadBox2D();
+    for (const drill of DRILLS) {
+      const arena = mergeConfig(mergeConfig(DEFAULT_ARENA, drillArena(drill)), { spawns: { players: { 1: null } } });
+      expect(arena.spawns.players).toEqual({});
+      for (const serve of drill.serves) {
+        let side = null;
+        const physics = createPhysics(Module, arena, (message: any) => {
+          if (message.type === 'goal' && side === null) side = message.scorer === 'left' ? 'right' : 'left';
+        });
+        physics.serve(serveBall(serve));
+        for (let t = 0; t < 480 && side === null; t++) physics.step();
+        physics.destroy();
+        if (drill.id === 'defending') {
+          expect(side).toBe('left');
+        } else {
+          expect(side).not.toBe(drill.goal);
+        }
+      }
+    }
+  });
+});
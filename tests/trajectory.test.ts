@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { loadBox2D } from '../simulate.js';
+import { DEFAULT_ARENA, GROUND_TOP, TICK_SECONDS, createPhysics, mergeConfig } from '../physics.js';
+import { predictBall, reachWindows } from '../trajectory.js';
+
+describe('trajectory', () => {
+  const arena = DEFAULT_ARENA;
+  const floor = GROUND_TOP + arena.ball.radius;
+
+  it('lands a lob where the flight under gravity comes down', () => {
+    const path = predictBall({ x: 3, y: 2, vx: 2, vy: 0 }, arena, 1.5);
+    const fall = Math.sqrt(2 * (2 - floor) / -arena.gravity);
+    expect(path.landings[0].t).toBeCloseTo(fall, 1);
+    expect(path.landings[0].x).toBeCloseTo(3 + 2 * fall, 1);
+    expect(path.goal).toBe(null);
+    // Low enough to play only from a little before the landing
+    const [first] = reachWindows(path, 1);
+    expect(first.start).toBeGreaterThan(0.4);
+    expect(first.start).toBeLessThan(path.landings[0].t);
+    expect(first.from.y).toBeLessThanOrEqual(1);
+  });
+
+  it('bounces off the side walls and flies into the goal under the crossbar', async () => {
+    const wall = predictBall({ x: 8, y: 3, vx: 8, vy: 0 }, arena, 0.5);
+    expect(Math.max(...wall.points.map((p) => p.x))).toBeLessThan(arena.width);
+    expect(wall.points[wall.points.length - 1].vx).toBeLessThan(0);
+    const serve = { x: 4, y: 1, vx: -10, vy: 2, spin: 0 };
+    const shot = predictBall(serve, arena, 1.5);
+    expect(shot.goal).toMatchObject({ side: 'left' });
+    expect(shot.points[shot.points.length - 1].t).toBe(shot.goal.t);
+    // The goal is predicted for the tick the physics model gives it on.
+    const Module = await loadBox2D();
+    const open = mergeConfig(DEFAULT_ARENA, { spawns: { players: { 1: null, 2: null } }, kickoff: { countdownTicks: 0 } });
+    let goalTick = null;
+    const physics = createPhysics(Module, open, (message: any) => {
+      if (message.type === 'goal' && goalTick === null) goalTick = message.tick;
+    });
+    physics.serve(serve);
+    const start = physics.tick;
+    while (goalTick === null && physics.tick - start < 180) physics.step();
+    expect(goalTick! - start).toBe(Math.round(shot.goal!.t / TICK_SECONDS));
+    physics.destroy();
+  });
+
+  it('follows the physics model through flight and bounces', async () => {
+    // Exact in flight; a bounce also turns the ball's spin into speed,
+    // which the prediction leaves out.
+    const Module = await loadBox2D();
+    const open = mergeConfig(DEFAULT_ARENA, { spawns: { players: { 1: null, 2: null } }, kickoff: { countdownTicks: 0 } });
+    for (const serve of [{ x: 5, y: 3, vx: 4, vy: 3, spin: 0 }, { x: 3, y: 1, vx: -6, vy: 6, spin: 5 }]) {
+      const physics = createPhysics(Module, open, () => {});
+      physics.serve(serve);
+      const path = predictBall({ ...serve, av: serve.spin }, open, 1.5);
+      let bounced = false;
+      for (const p of path.points) {
+        physics.step();
+        // The ball is held once play stops for a goal.
+        if (physics.phase !== 'live') break;
+        const at = physics.bodies.ball.GetPosition();
+        bounced = bounced || p.vx * serve.vx < 0 || path.landings.some((l) => l.t <= p.t);
+        expect(Math.hypot(at.get_x() - p.x, at.get_y() - p.y)).toBeLessThan(bounced ? 0.25 : 0.01);
+      }
+      physics.destroy();
+    }
+  });
+});
@@ -0,0 +1,219 @@
+/*
+ * Training drills. A drill is a series of attempts without a clock or an
+ * opponent: before each attempt the ball launcher lines the player up and
+ * serves the ball, and the attempt is scored from what happens next. Drills
+ * are plain data (see DRILLS), so a new one needs no code:
+ *   id / name / description – key for personal bests and what the drill
+ *     picker shows
+ *   attempts – number of serves; attemptMs – time limit of one attempt
+ *   player – the player's spot { x, y } (the player attacks the right goal)
+ *   serves – launches { x, y, speed, angle, spin } used in turn; `angle` is
+ *     the direction of flight in degrees, counter‑clockwise from pointing
+ *     right (90 is straight up, 180 to the left), and `spin` is in rad/s
+ *   goal – the goal the drill is about, 'left' or 'right'
+ *   outcomes – what the events of an attempt are worth (see drillEvent):
+ *     { points, label, end } per event type; a goal outcome may instead
+ *     give `zones` of the goal mouth, lowest first, each
+ *     { below, points, label } (the last one may leave `below` out)
+ *
+ * The run of a drill is a plain object advanced by main.js with the time
+ * of play (advanceDrill) and fed the physics events (drillEvent).
+ */
+
+// Pause between the end of one attempt and the next serve
+export const SERVE_DELAY_MS = 1200;
+
+export const DRILLS = [
+  {
+    id: 'crosses',
+    name: 'Навесы',
+    description: 'Пушка из‑за ворот справа навешивает с разных углов — замкните подачу в эти ворота головой или с лёта.',
+    attempts: 10,
+    attemptMs: 5000,
+    player: { x: 4.5, y: 0.4 },
+    serves: [
+      { x: 9.6, y: 2.4, speed: 5, angle: 150 },
+      { x: 9.6, y: 3, speed: 4, angle: 170 },
+      { x: 9.6, y: 1.9, speed: 6, angle: 135 },
+      { x: 9.6, y: 4, speed: 3, angle: 200 }
+    ],
+    goal: 'right',
+    outcomes: {
+      goal: { points: 1, label: 'Гол!' }
+    }
+  },
+  {
+    id: 'accuracy',
+    name: 'Точность',
+    description: 'Бейте по воротам справа: верх приносит 3 очка, низ 2, середина 1.',
+    attempts: 8,
+    attemptMs: 6000,
+    player: { x: 4.5, y: 0.4 },
+    serves: [
+      { x: 5.2, y: 0.3, speed: 0, angle: 0 },
+      { x: 7, y: 0.3, speed: 2, angle: 180 },
+      { x: 6.2, y: 0.3, speed: 0, angle: 0 },
+      { x: 8, y: 1.5, speed: 3, angle: 120 }
+    ],
+    goal: 'right',
+    outcomes: {
+      goal: {
+        zones: [
+          { below: 0.5, points: 2, label: 'Низ! +2' },
+          { below: 1.1, points: 1, label: 'Гол! +1' },
+          { points: 3, label: 'Девятка! +3' }
+        ]
+      }
+    }
+  },
+  {
+    id: 'juggling',
+    name: 'Жонглирование',
+    description: 'Держите мяч в воздухе: очко за каждое касание, пока мяч не упал.',
+    attempts: 3,
+    attemptMs: 30000,
+    player: { x: 3, y: 0.4 },
+    serves: [
+      { x: 3.1, y: 3, speed: 0, angle: 0 }
+    ],
+    goal: 'right',
+    outcomes: {
+      touch: { points: 1 },
+      ground: { points: 0, label: 'Упал!', end: true }
+    }
+  },
+  {
+    id: 'defending',
+    name: 'Защита',
+    description: 'Пушка бьёт по вашим воротам слева — отбейте мяч, пока он не влетел в сетку.',
+    attempts: 10,
+    attemptMs: 4000,
+    player: { x: 1.6, y: 0.4 },
+    serves: [
+      { x: 7, y: 0.3, speed: 10, angle: 178 },
+      { x: 6, y: 0.3, speed: 9, angle: 165 },
+      { x: 8, y: 2, speed: 9, angle: 185 },
+      { x: 6.5, y: 0.3, speed: 8, angle: 170 }
+    ],
+    goal: 'left',
+    outcomes: {
+      touch: { points: 1, label: 'Отбит!', end: true },
+      goal: { points: 0, label: 'Пропущен' }
+    }
+  }
+];
+
+// The drill with `id`, or null
+export function findDrill(id) {
+  return DRILLS.find((d) => d.id === id) || null;
+}
+
+// Ball for the worker's `serve` message: position, velocity and spin of
+// the launch `serve`.
+export function serveBall(serve) {
+  const angle = serve.angle * Math.PI / 180;
+  return {
+    x: serve.x,
+    y: serve.y,
+    vx: serve.speed * Math.cos(angle),
+    vy: serve.speed * Math.sin(angle),
+    spin: serve.spin || 0
+  };
+}
+
+// Arena overrides for `drill`: player 1 on the drill's spot and nobody
+// else, and no countdown, celebration or kickoff advance, so that play
+// never stops between serves.
+export function drillArena(drill) {
+  return {
+    spawns: { players: { 1: drill.player, 2: null } },
+    kickoff: { countdownTicks: 0, celebrationTicks: 0, advance: 0 }
+  };
+}
+
+// Start a run of `drill`. `results` collects the points of each finished
+// attempt.
+export function createDrillRun(drill) {
+  return {
+    drill,
+    attempt: 0,
+    live: false,
+    attemptMs: 0,
+    waitMs: SERVE_DELAY_MS,
+    attemptPoints: 0,
+    score: 0,
+    results: [],
+    finished: false
+  };
+}
+
+// Move the run on by `dtMs` of play. An attempt that runs out of time ends
+// as a 'timeout' event, and the run is finished once the pause after its
+// last attempt is over. Returns the ball to serve (see serveBall) when the
+// next attempt starts, otherwise null.
+export function advanceDrill(run, dtMs) {
+  if (run.finished) return null;
+  if (run.live) {
+    run.attemptMs += dtMs;
+    if (run.attemptMs >= run.drill.attemptMs) drillEvent(run, { type: 'timeout' });
+    return null;
+  }
+  run.waitMs -= dtMs;
+  if (run.waitMs > 0) return null;
+  if (run.attempt >= run.drill.attempts) {
+    run.finished = true;
+    return null;
+  }
+  const serves = run.drill.serves;
+  const serve = serves[run.attempt % serves.length];
+  run.attempt += 1;
+  run.live = true;
+  run.attemptMs = 0;
+  run.attemptPoints = 0;
+  return serveBall(serve);
+}
+
+// Score an event of the attempt in progress:
+//   { type: 'touch' } – the player touched the ball
+//   { type: 'ground' } – the ball bounced on the ground
+//   { type: 'goal', side, height } – the ball went into the `side` goal,
+//     `height` metres above the ground
+//   { type: 'timeout' } – the attempt ran out of time
+// A goal or a timeout always ends the attempt, since the physics model
+// puts the ball back on its spot after a goal; only a goal in the drill's
+// goal counts. Returns the outcome { points, label, end }, or null when the
+// event does not count.
+export function drillEvent(run, event) {
+  if (!run.live) return null;
+  const drill = run.drill;
+  let rule = drill.outcomes[event.type] || null;
+  if (event.type === 'goal') {
+    if (event.side !== drill.goal) rule = null;
+    if (rule && rule.zones) {
+      rule = rule.zones.find((z) => z.below === undefined || event.height < z.below) || null;
+    }
+  }
+  const end = event.type === 'goal' || event.type === 'timeout' || !!(rule && rule.end);
+  if (!rule && !end) return null;
+  const outcome = {
+    points: rule ? rule.points : 0,
+    label: rule ? rule.label || null : null,
+    end
+  };
+  run.attemptPoints += outcome.points;
+  run.score += outcome.points;
+  if (end) {
+    run.results.push(run.attemptPoints);
+    run.live = false;
+    run.waitMs = SERVE_DELAY_MS;
+  }
+  return outcome;
+}
+
+// Record a finished run's `score` in `bests`, the personal bests by drill
+// id. Returns true when it is a new best.
+export function recordDrillScore(bests, drillId, score) {
+  if (bests[drillId] !== undefined && bests[drillId] >= score) return false;
+  bests[drillId] = score;
+  return true;
+}
@@ -0,0 +1,126 @@
+/*
+ * Ball flight prediction. predictBall() integrates the ball forward the way
+ * the physics model moves it between touches: gravity, the Magnus lift of
+ * its spin (see applyMagnus in physics.js) and bounces off the ground, the
+ * side walls above the goals, the ceiling and the roofs of the nets. A ball
+ * that goes under a crossbar ends the flight, since play stops for the
+ * goal. Players are not part of the prediction.
+ *
+ * The result is a path of points { t, x, y, vx, vy } one physics tick apart
+ * (t in seconds from now) together with the landing points, where the ball
+ * comes down on the ground or a net roof, and the goal it flies into, if
+ * any. reachWindows() cuts a path into the spells in which the ball is low
+ * enough to be played at a given height.
+ */
+
+import { GROUND_TOP, TICK_SECONDS } from './physics.js';
+
+// Box2D treats slower impacts as inelastic: the ball stops bouncing and
+// rolls (b2_velocityThreshold).
+const BOUNCE_THRESHOLD = 1.0;
+// Box2D pads every polygon with this skin (b2_polygonRadius), so the ball
+// touches a goal sensor a little before it reaches the box itself.
+const POLYGON_SKIN = 0.01;
+
+// Box2D gives a contact the larger restitution of its two fixtures.
+function mixRestitution(a, b) {
+  return Math.max(a, b);
+}
+
+// Predict the flight of `ball` ({ x, y, vx, vy, av }, as in a decoded
+// snapshot; `av` is the spin in rad/s and may be left out) in `arena` for
+// `horizon` seconds. Returns { points, landings, goal }:
+//   points – { t, x, y, vx, vy } every TICK_SECONDS, starting one tick
+//     ahead
+//   landings – { t, x, vx } for every bounce off the ground or a net roof
+//   goal – { t, side } when the ball goes into the goal at the `side`
+//     wall ('left' or 'right'), otherwise null; `t` is when the physics
+//     model gives the goal, and the path ends there
+export function predictBall(ball, arena, horizon) {
+  const r = arena.ball.radius;
+  const goal = arena.goal;
+  const roofTop = goal.height + 0.03;
+  const wallLeft = 0.1 + r;
+  const wallRight = arena.width - 0.1 - r;
+  const ceiling = arena.height - r;
+  const dt = TICK_SECONDS;
+  const damping = 1 / (1 + dt * arena.ball.angularDamping);
+  let { x, y, vx, vy } = ball;
+  let av = ball.av || 0;
+  const points = [];
+  const landings = [];
+  let goalIn = null;
+  // Side of the goal the ball went into on the tick before
+  let scored = null;
+  const steps = Math.ceil(horizon / dt);
+  for (let i = 1; i <= steps; i++) {
+    const t = i * dt;
+    // Semi‑implicit Euler, as Box2D integrates
+    const ax = -arena.ball.magnus * av * vy;
+    const ay = arena.gravity + arena.ball.magnus * av * vx;
+    vx += ax * dt;
+    vy += ay * dt;
+    av *= damping;
+    const wasAboveRoof = y - r >= roofTop - 0.01;
+    x += vx * dt;
+    y += vy * dt;
+    if (scored) {
+      goalIn = { t, side: scored };
+      points.push({ t, x, y, vx, vy });
+      break;
+    }
+    const overNet = x < goal.depth || x > arena.width - goal.depth;
+    // The ball is in once it overlaps a goal sensor, whose front edge is a
+    // ball diameter behind the goal line (see createGoal in physics.js).
+    // Box2D only finds the overlap at the start of its next step, so the
+    // goal is given a tick later.
+    const inGoal = x < goal.depth - r + POLYGON_SKIN || x > arena.width - goal.depth + r - POLYGON_SKIN;
+    if (inGoal && y < goal.height && !wasAboveRoof) {
+      scored = x < arena.width / 2 ? 'left' : 'right';
+    }
+    // Floor under the ball: a net roof it is falling onto, or the ground
+    const floorY = (overNet && wasAboveRoof ? roofTop : GROUND_TOP) + r;
+    const floorRestitution = floorY > GROUND_TOP + r
+      ? mixRestitution(arena.ball.restitution, goal.netRestitution)
+      : arena.ball.restitution;
+    if (y < floorY && vy < 0) {
+      y = floorY;
+      vy = -vy > BOUNCE_THRESHOLD ? -vy * floorRestitution : 0;
+      landings.push({ t, x, vx });
+    }
+    if (y > ceiling && vy > 0) {
+      y = ceiling;
+      vy = -vy * arena.ball.restitution;
+    }
+    // The side walls only rise above the goals; lower down the ball meets
+    // the back of the net, which ends the flight as a goal above.
+    if (y > goal.height && ((x < wallLeft && vx < 0) || (x > wallRight && vx > 0))) {
+      x = x < wallLeft ? wallLeft : wallRight;
+      vx = -vx * arena.ball.restitution;
+    }
+    points.push({ t, x, y, vx, vy });
+  }
+  return { points, landings, goal: goalIn };
+}
+
+// The spells of a predicted `path` (see predictBall) in which the ball's
+// centre is at most `height` metres above the ground, in order, each
+// { start, end, from, to }: the first and last time and the points at
+// them.
+export function reachWindows(path, height) {
+  const windows = [];
+  let open = null;
+  for (const p of path.points) {
+    if (p.y <= height) {
+      if (!open) {
+        open = { start: p.t, end: p.t, from: p, to: p };
+        windows.push(open);
+      }
+      open.end = p.t;
+      open.to = p;
+    } else {
+      open = null;
+    }
+  }
+  return windows;
+}
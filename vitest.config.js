@@ -3,7 +3,9 @@
 // will execute tests under the `tests/` directory. Note that the game
 // itself runs in the browser; many modules (like PIXI) are not available
 // in a Node environment, so tests should focus on pure logic (e.g., AI
-// decision functions, helpers) rather than DOM rendering.
+// decision functions, helpers) rather than DOM rendering. Whole matches can
+// be played headless with simulateMatch() from simulate.js, which uses the
+// box2d-wasm package installed by `npm install`.
 
 export default {
   test: {